@@ -0,0 +1,43 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+/**
+ * Claude models through the Anthropic Messages API
+ */
+class AnthropicProvider {
+  constructor({ apiKey, model, baseUrl, timeout } = {}) {
+    this.name = 'anthropic';
+    this.model = model || 'claude-sonnet-4-20250514';
+    this.apiKey = apiKey;
+    this.client = new Anthropic({
+      apiKey,
+      ...(baseUrl && { baseURL: baseUrl }),
+      ...(timeout && { timeout })
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async complete({ prompt, system, maxTokens = 2000, temperature } = {}) {
+    const message = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      ...(system && { system }),
+      ...(temperature !== undefined && { temperature }),
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    return {
+      text: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      provider: this.name,
+      model: message.model || this.model,
+      usage: {
+        inputTokens: message.usage?.input_tokens ?? null,
+        outputTokens: message.usage?.output_tokens ?? null
+      }
+    };
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,142 @@
+import { readFileSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+// Create __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const STOPWORDS = new Set([
+  'about', 'after', 'also', 'been', 'before', 'being', 'between', 'could', 'during', 'each',
+  'from', 'have', 'into', 'more', 'most', 'much', 'only', 'other', 'over', 'said', 'says',
+  'some', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'through', 'under', 'very', 'were', 'what', 'when', 'where', 'which', 'while',
+  'will', 'with', 'would', 'year', 'years', 'your'
+]);
+
+// Commodity and supply-chain terms the mock recognises in labelling prompts
+const COMMODITIES = [
+  'lithium', 'cobalt', 'nickel', 'copper', 'graphite', 'manganese', 'antimony', 'gallium',
+  'germanium', 'tungsten', 'uranium', 'rare earth', 'platinum', 'aluminium', 'iron ore'
+];
+const STAGES = ['mining', 'refining', 'processing', 'manufacturing', 'recycling'];
+
+/**
+ * Deterministic offline provider for tests and CI. Responses come from a
+ * fixture file (packages/llm/fixtures/mock-responses.json, or
+ * MOCK_LLM_FIXTURES):
+ * {
+ *   "responses": [
+ *     { "task": "label", "match": "Lithium", "response": { "categories": ["..."] } },
+ *     { "pattern": "rare.earth", "response": "Plain text answer" }
+ *   ]
+ * }
+ * The first entry whose task (if given) and "match" substring or "pattern"
+ * regex fit the request wins; object responses are sent as JSON. Requests
+ * no fixture matches get a response generated from the prompt, so the same
+ * prompt always produces the same output.
+ */
+class MockProvider {
+  constructor({ model, fixturesFile } = {}) {
+    this.name = 'mock';
+    this.model = model || 'mock-1';
+    this.fixturesFile = fixturesFile || join(__dirname, '../fixtures/mock-responses.json');
+    this.fixtures = this.loadFixtures();
+    this.calls = [];
+  }
+
+  loadFixtures() {
+    if (!existsSync(this.fixturesFile)) return [];
+
+    const { responses = [] } = JSON.parse(readFileSync(this.fixturesFile, 'utf8'));
+    return responses;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete({ prompt = '', system, task } = {}) {
+    this.calls.push({ task: task || null, prompt, system: system || null });
+
+    const fixture = this.fixtures.find(entry =>
+      (!entry.task || entry.task === task) &&
+      (entry.match === undefined || prompt.includes(entry.match)) &&
+      (entry.pattern === undefined || new RegExp(entry.pattern, 'i').test(prompt))
+    );
+
+    let text;
+    if (fixture) {
+      text = typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+    } else if (task === 'label') {
+      text = JSON.stringify(mockLabels(prompt));
+    } else if (task === 'answer') {
+      text = mockAnswer(prompt);
+    } else {
+      text = `Mock response ${createHash('sha256').update(prompt).digest('hex').slice(0, 12)}`;
+    }
+
+    return {
+      text,
+      provider: this.name,
+      model: this.model,
+      usage: { inputTokens: 0, outputTokens: 0 }
+    };
+  }
+}
+
+// The most frequent content words, in order of first appearance on ties
+function topTerms(text, count) {
+  const frequency = new Map();
+  for (const word of text.toLowerCase().match(/[a-z][a-z-]{3,}/g) || []) {
+    if (!STOPWORDS.has(word)) frequency.set(word, (frequency.get(word) || 0) + 1);
+  }
+
+  return Array.from(frequency.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([word]) => word);
+}
+
+function mockLabels(prompt) {
+  const title = prompt.match(/^Article Title: (.*)$/m)?.[1] || '';
+  const content = prompt.match(/^Content: ([\s\S]*?)(?:\n\nTables:|\n\nPlease provide|$)/m)?.[1] || '';
+  const keywords = topTerms(`${title} ${content}`, 5);
+  const sentences = content.match(/[^.!?]+[.!?]/g) || [];
+  const text = `${title} ${content}`.toLowerCase();
+
+  return {
+    categories: keywords.slice(0, 1),
+    topics: keywords.slice(0, 3),
+    entities: {
+      people: [],
+      organizations: [],
+      locations: [],
+      products: []
+    },
+    keywords,
+    commodities: COMMODITIES.filter(commodity => text.includes(commodity)),
+    supplyChainStages: STAGES.filter(stage => text.includes(stage)),
+    producingCountries: [],
+    consumingCountries: [],
+    policyInstruments: [],
+    sentiment: 'neutral',
+    summary: sentences.slice(0, 2).map(sentence => sentence.trim()).join(' ') || title,
+    readingTime: `${Math.max(1, Math.round(content.split(/\s+/).length / 200))} minutes`,
+    complexity: 'intermediate',
+    contentType: 'news'
+  };
+}
+
+function mockAnswer(prompt) {
+  const titles = Array.from(prompt.matchAll(/^Title: "(.*)"$/gm), match => match[1]);
+  if (titles.length === 0) {
+    return 'The knowledge base does not contain articles relevant to this question.';
+  }
+
+  return `Based on ${titles.length} article${titles.length === 1 ? '' : 's'} in the knowledge base: ` +
+    titles.map(title => `"${title}"`).join(', ') + '.';
+}
+
+export default MockProvider;
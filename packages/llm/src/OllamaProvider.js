@@ -0,0 +1,48 @@
+import axios from 'axios';
+
+/**
+ * Local models served by Ollama's native chat API
+ */
+class OllamaProvider {
+  constructor({ model, baseUrl, timeout = 300000 } = {}) {
+    this.name = 'ollama';
+    this.model = model || 'llama3.1';
+    this.baseUrl = (baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete({ prompt, system, maxTokens = 2000, temperature } = {}) {
+    const messages = [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: prompt }
+    ];
+
+    const response = await axios.post(`${this.baseUrl}/api/chat`, {
+      model: this.model,
+      messages,
+      stream: false,
+      options: {
+        num_predict: maxTokens,
+        ...(temperature !== undefined && { temperature })
+      }
+    }, { timeout: this.timeout });
+
+    const { message, model, prompt_eval_count: inputTokens, eval_count: outputTokens } = response.data;
+
+    return {
+      text: message?.content || '',
+      provider: this.name,
+      model: model || this.model,
+      usage: {
+        inputTokens: inputTokens ?? null,
+        outputTokens: outputTokens ?? null
+      }
+    };
+  }
+}
+
+export default OllamaProvider;
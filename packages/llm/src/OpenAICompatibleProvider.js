@@ -0,0 +1,54 @@
+import axios from 'axios';
+
+/**
+ * Any server that speaks the OpenAI Chat Completions API: OpenAI itself,
+ * hosted gateways, vLLM, LM Studio or the llama.cpp server
+ */
+class OpenAICompatibleProvider {
+  constructor({ name = 'openai', apiKey, model, baseUrl, timeout = 120000, requiresKey = true } = {}) {
+    this.name = name;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.timeout = timeout;
+    this.requiresKey = requiresKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.model) && (!this.requiresKey || Boolean(this.apiKey));
+  }
+
+  async complete({ prompt, system, maxTokens = 2000, temperature } = {}) {
+    const messages = [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: prompt }
+    ];
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      ...(temperature !== undefined && { temperature })
+    }, {
+      timeout: this.timeout,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    });
+
+    const { choices = [], usage, model } = response.data;
+    if (!choices.length) {
+      throw new Error(`${this.name} returned no choices`);
+    }
+
+    return {
+      text: choices[0].message?.content || '',
+      provider: this.name,
+      model: model || this.model,
+      usage: {
+        inputTokens: usage?.prompt_tokens ?? null,
+        outputTokens: usage?.completion_tokens ?? null
+      }
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
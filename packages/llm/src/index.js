@@ -0,0 +1,88 @@
+import AnthropicProvider from './AnthropicProvider.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+import OllamaProvider from './OllamaProvider.js';
+import MockProvider from './MockProvider.js';
+
+/**
+ * LLM providers share one interface:
+ *   name, model
+ *   isConfigured() - whether it has what it needs (API key, model) to run
+ *   complete({ prompt, system, maxTokens, temperature, task })
+ *     -> { text, provider, model, usage: { inputTokens, outputTokens } }
+ * "task" ("label", "answer", ...) only matters to the mock provider.
+ */
+export const PROVIDERS = ['anthropic', 'openai', 'ollama', 'llamacpp', 'mock'];
+
+/**
+ * @param {Object} config - { provider, model, apiKey, baseUrl, timeout, fixturesFile }
+ */
+export function createProvider({ provider = 'anthropic', ...options } = {}) {
+  switch (provider) {
+    case 'anthropic':
+      return new AnthropicProvider(options);
+    case 'openai':
+      return new OpenAICompatibleProvider(options);
+    case 'ollama':
+      return new OllamaProvider(options);
+    case 'llamacpp':
+      // llama.cpp's server speaks the OpenAI API and ignores the model name
+      return new OpenAICompatibleProvider({
+        name: 'llamacpp',
+        model: 'local',
+        baseUrl: 'http://localhost:8080/v1',
+        requiresKey: false,
+        ...stripUndefined(options)
+      });
+    case 'mock':
+      return new MockProvider(options);
+    default:
+      throw new Error(`Unknown LLM provider "${provider}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+}
+
+/**
+ * Provider configured from the environment. A service prefix lets one
+ * service use a different provider from the rest, e.g. LABELLER_LLM_PROVIDER
+ * over LLM_PROVIDER:
+ *   LLM_PROVIDER       anthropic (default), openai, ollama, llamacpp or mock
+ *   LLM_MODEL          model name (AI_MODEL is still read for anthropic)
+ *   LLM_API_KEY        key (default: ANTHROPIC_API_KEY / OPENAI_API_KEY)
+ *   LLM_BASE_URL       endpoint for openai-compatible and local servers
+ *   LLM_TIMEOUT        request timeout in ms
+ *   MOCK_LLM_FIXTURES  fixture file for the mock provider
+ */
+export function providerFromEnv(prefix = '', env = process.env) {
+  const setting = name => (prefix && env[`${prefix}_${name}`]) || env[name];
+  const provider = (setting('LLM_PROVIDER') || 'anthropic').toLowerCase();
+
+  const defaultKeys = {
+    anthropic: env.ANTHROPIC_API_KEY,
+    openai: env.OPENAI_API_KEY
+  };
+
+  return createProvider({
+    provider,
+    model: setting('LLM_MODEL') || (provider === 'anthropic' ? env.AI_MODEL : undefined),
+    apiKey: setting('LLM_API_KEY') || defaultKeys[provider],
+    baseUrl: setting('LLM_BASE_URL'),
+    timeout: parseInt(setting('LLM_TIMEOUT')) || undefined,
+    fixturesFile: env.MOCK_LLM_FIXTURES
+  });
+}
+
+/**
+ * Short description for health checks and logs
+ */
+export function describeProvider(provider) {
+  return {
+    provider: provider.name,
+    model: provider.model,
+    configured: provider.isConfigured()
+  };
+}
+
+function stripUndefined(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+export { AnthropicProvider, OpenAICompatibleProvider, OllamaProvider, MockProvider };
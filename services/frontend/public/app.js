@@ -143,6 +143,9 @@ class MaterialRiskApp {
     
     try {
       const date = new Date(dateString);
+      // Articles scraped before dates were normalised may hold raw text
+      if (isNaN(date)) return dateString;
+
       const now = new Date();
       const diffTime = Math.abs(now - date);
       const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
@@ -273,6 +276,14 @@ class MaterialRiskApp {
                 ${source.relevanceScore ? `<span class="relevance-badge">Score: ${source.relevanceScore}</span>` : ''}
               </div>
               ${source.summary ? `<p class="source-summary">${source.summary}</p>` : ''}
+              ${source.attribution ? `
+                <p class="source-attribution">
+                  ${source.attributionUrl
+                    ? `<a href="${source.attributionUrl}" target="_blank">${source.attribution}</a>`
+                    : source.attribution}
+                  ${source.licence ? `<span class="source-licence">${source.licence}</span>` : ''}
+                </p>
+              ` : ''}
               <div class="source-meta">
                 ${source.categories && source.categories.length > 0 ? `
                   <span class="meta-item">
@@ -1,6 +1,6 @@
 import express from 'express';
 import axios from 'axios';
-import Anthropic from '@anthropic-ai/sdk';
+import { providerFromEnv } from '@article-kb/llm';
 import logger from './utils/logger.js';
 import dotenv from 'dotenv';
 import path from 'path';
@@ -18,15 +18,13 @@ const SCRAPER_URL = process.env.SCRAPER_URL || 'http://localhost:3001';
 const LABELLER_URL = process.env.LABELLER_URL || 'http://localhost:3002';
 const GRAPH_URL = process.env.GRAPH_URL || 'http://localhost:3003';
 
-// Verify API key is loaded
-if (!process.env.ANTHROPIC_API_KEY) {
-  logger.error('❌ ANTHROPIC_API_KEY is not set in environment variables!');
-  logger.error('   Run: npm run set-api-key -- YOUR-API-KEY');
-}
+// LLM used to answer queries (QUERY_LLM_PROVIDER / LLM_PROVIDER, see @article-kb/llm)
+export const llm = providerFromEnv('QUERY');
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+if (!llm.isConfigured()) {
+  logger.error(`❌ LLM provider ${llm.name} is not configured (missing API key or model)!`);
+  logger.error('   Set LLM_API_KEY (or ANTHROPIC_API_KEY) in .env, or LLM_PROVIDER=mock to run offline');
+}
 
 // GET /api/recent - Get recent articles
 router.get('/recent', async (req, res) => {
@@ -115,16 +113,20 @@ router.post('/query', async (req, res) => {
 
     logger.info(`Retrieved ${rankedArticles.length} relevant articles`);
 
-    // Step 5: Build rich context for Claude
+    // Step 5: Attach extracted tables, so figures keep their headers, and the
+    // publisher's licence and attribution terms
+    await Promise.all(rankedArticles.map(async (article) => {
+      [article.tables, article.rights] = await Promise.all([fetchTables(article), fetchRights(article)]);
+    }));
+
+    // Step 6: Build rich context for the LLM
     const context = buildRAGContext(query, rankedArticles);
 
-    // Step 6: Generate answer with Claude
-    const message = await anthropic.messages.create({
-      model: process.env.AI_MODEL || 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      messages: [{
-        role: 'user',
-        content: `You are an expert research assistant with access to a knowledge base of articles. Your task is to provide accurate, well-sourced answers based on the retrieved articles.
+    // Step 7: Generate answer with the configured LLM
+    const completion = await llm.complete({
+      maxTokens: 2000,
+      task: 'answer',
+      prompt: `You are an expert research assistant with access to a knowledge base of articles. Your task is to provide accurate, well-sourced answers based on the retrieved articles.
 
 ${context}
 
@@ -139,12 +141,11 @@ IMPORTANT INSTRUCTIONS:
 User Question: ${query}
 
 Provide your answer:`
-      }]
     });
 
-    const answer = message.content[0].text;
+    const answer = completion.text;
 
-    // Step 7: Return response with sources
+    // Step 8: Return response with sources
     res.json({
       success: true,
       query,
@@ -156,11 +157,17 @@ Provide your answer:`
         categories: article.labels?.categories || [],
         topics: article.labels?.topics || [],
         summary: article.labels?.summary || null,
-        relevanceScore: article.relevanceScore || 0
+        relevanceScore: article.relevanceScore || 0,
+        publisher: article.rights?.publisher || null,
+        licence: article.rights?.licence || null,
+        attribution: article.rights?.attribution || null,
+        attributionUrl: article.rights?.attributionUrl || null
       })),
       metadata: {
         totalArticlesSearched: allArticles.length,
         sourcesUsed: rankedArticles.length,
+        provider: completion.provider,
+        model: completion.model,
         timestamp: new Date().toISOString()
       }
     });
@@ -256,6 +263,61 @@ function rankArticlesByRelevance(query, articles) {
   .sort((a, b) => b.relevanceScore - a.relevanceScore);
 }
 
+// Helper: Tables for an article; graph results don't carry them, so ask the scraper
+async function fetchTables(article) {
+  if (article.tables) return article.tables;
+
+  try {
+    const response = await axios.get(`${SCRAPER_URL}/api/articles/${article.id}/tables`);
+    return response.data.tables;
+  } catch (error) {
+    return [];
+  }
+}
+
+// Helper: Licence and attribution terms stored with the scraped article
+async function fetchRights(article) {
+  if (article.rights !== undefined) return article.rights;
+
+  try {
+    const response = await axios.get(`${SCRAPER_URL}/api/articles/${article.id}`);
+    return response.data.article.rights || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper: Render tables as Markdown for the RAG context
+function formatTables(tables = [], maxTables = 2, maxRows = 15) {
+  return tables.slice(0, maxTables).map(table => {
+    const rows = table.rows.slice(0, maxRows);
+    const header = table.headers || rows.shift() || [];
+    return [
+      table.caption && `Table: ${table.caption}`,
+      `| ${header.join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.join(' | ')} |`),
+      table.rows.length > maxRows && `(${table.rows.length - maxRows} more rows)`
+    ].filter(Boolean).join('\n');
+  }).join('\n\n');
+}
+
+// Helper: Materials labels (commodities, supply-chain stages, countries, policy) as context lines
+function formatMaterials(labels = {}) {
+  const commodities = (labels.commodities || [])
+    .map(c => (c.symbol || c.code ? `${c.name} (${c.symbol || c.code})` : c.name));
+  const policies = (labels.policyInstruments || [])
+    .map(p => `${p.type}${p.country ? ` (${p.country})` : ''}${p.description ? `: ${p.description}` : ''}`);
+
+  return [
+    commodities.length && `Commodities: ${commodities.join(', ')}`,
+    labels.supplyChainStages?.length && `Supply-Chain Stages: ${labels.supplyChainStages.join(', ')}`,
+    labels.producingCountries?.length && `Producing Countries: ${labels.producingCountries.join(', ')}`,
+    labels.consumingCountries?.length && `Consuming Countries: ${labels.consumingCountries.join(', ')}`,
+    policies.length && `Policy Instruments: ${policies.join('; ')}`
+  ].filter(Boolean).join('\n');
+}
+
 // Helper: Build RAG context
 function buildRAGContext(query, articles) {
   if (articles.length === 0) {
@@ -267,15 +329,17 @@ function buildRAGContext(query, articles) {
     const categories = article.labels?.categories?.join(', ') || 'None';
     const summary = article.labels?.summary || 'No summary available';
     const keywords = article.labels?.keywords?.slice(0, 8).join(', ') || 'None';
+    const materials = formatMaterials(article.labels);
+    const tables = formatTables(article.tables);
 
     return `[Article ${idx + 1}]
 Title: "${article.title}"
 URL: ${article.url}
 Categories: ${categories}
 Topics: ${topics}
-Key Terms: ${keywords}
+Key Terms: ${keywords}${materials ? `\n${materials}` : ''}
 Summary: ${summary}
-Relevance Score: ${article.relevanceScore || 0}`;
+Relevance Score: ${article.relevanceScore || 0}${tables ? `\nTables:\n${tables}` : ''}`;
   }).join('\n\n---\n\n');
 
   return `RETRIEVED ARTICLES FROM KNOWLEDGE BASE:
@@ -3,7 +3,8 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import dotenv from 'dotenv';
 import express from 'express';
-import apiRoutes from './routes.js';
+import { describeProvider } from '@article-kb/llm';
+import apiRoutes, { llm } from './routes.js';
 import logger from './utils/logger.js';
 
 // Create __dirname for ES modules
@@ -45,6 +46,7 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     service: 'frontend',
+    llm: describeProvider(llm),
     timestamp: new Date().toISOString()
   });
 });
@@ -1,6 +1,19 @@
 import logger from './utils/logger.js';
 import GraphPersistence from './graph-persist.js';
 
+// Commodities from the labeller carry an element symbol or group code where known
+const commodityKeys = labels => (labels.commodities || [])
+  .map(commodity => commodity.symbol || commodity.code || commodity.name)
+  .filter(Boolean);
+
+// Vocabulary terms the labeller matched, and their broader (ancestor) terms
+const taxonomyIds = (labels, field) => (labels.taxonomy?.[field] || []).map(term => term.id);
+
+// Canonical entity ids for a field, or the raw names for articles labelled before entity resolution
+const entityIds = (labels, field) => (labels.entityRefs
+  ? [...new Set(labels.entityRefs.filter(ref => ref.field === field).map(ref => ref.id))]
+  : labels.entities?.[field] || []);
+
 class KnowledgeGraph {
   constructor() {
     this.nodes = new Map(); // articleId -> node data
@@ -143,6 +156,10 @@ class KnowledgeGraph {
           sharedKeywords: this.findSharedItems(
             sourceNode.labels.keywords || [],
             node.labels.keywords || []
+          ),
+          sharedCommodities: this.findSharedItems(
+            commodityKeys(sourceNode.labels),
+            commodityKeys(node.labels)
           )
         });
       }
@@ -177,20 +194,32 @@ class KnowledgeGraph {
     );
     score += sharedKeywords.length * 1;
 
+    // Check shared commodities (weight: 3)
+    const sharedCommodities = this.findSharedItems(
+      commodityKeys(node1.labels),
+      commodityKeys(node2.labels)
+    );
+    score += sharedCommodities.length * 3;
+
+    // A term in one article that is a broader term of the other's, e.g.
+    // "Rare Earths" and "Dysprosium" (weight: 2)
+    const narrowerMatches =
+      this.findSharedItems(taxonomyIds(node1.labels, 'terms'), taxonomyIds(node2.labels, 'broader')).length +
+      this.findSharedItems(taxonomyIds(node2.labels, 'terms'), taxonomyIds(node1.labels, 'broader')).length;
+    score += narrowerMatches * 2;
+
     // Check shared entities
-    if (node1.labels.entities && node2.labels.entities) {
-      const sharedPeople = this.findSharedItems(
-        node1.labels.entities.people || [],
-        node2.labels.entities.people || []
-      );
-      score += sharedPeople.length * 2;
+    const sharedPeople = this.findSharedItems(
+      entityIds(node1.labels, 'people'),
+      entityIds(node2.labels, 'people')
+    );
+    score += sharedPeople.length * 2;
 
-      const sharedOrgs = this.findSharedItems(
-        node1.labels.entities.organizations || [],
-        node2.labels.entities.organizations || []
-      );
-      score += sharedOrgs.length * 2;
-    }
+    const sharedOrgs = this.findSharedItems(
+      entityIds(node1.labels, 'organizations'),
+      entityIds(node2.labels, 'organizations')
+    );
+    score += sharedOrgs.length * 2;
 
     return score;
   }
@@ -207,6 +236,8 @@ class KnowledgeGraph {
     for (const node of this.nodes.values()) {
       const topics = node.labels.topics || [];
       const categories = node.labels.categories || [];
+      // Broader terms let a query for "rare earths" find an article about dysprosium
+      const broader = (node.labels.taxonomy?.broader || []).map(term => term.label);
       
       const hasMatchingTopic = topics.some(t => 
         t.toLowerCase().includes(topicLower)
@@ -214,14 +245,17 @@ class KnowledgeGraph {
       const hasMatchingCategory = categories.some(c => 
         c.toLowerCase().includes(topicLower)
       );
+      const hasMatchingBroader = broader.some(b =>
+        b.toLowerCase().includes(topicLower)
+      );
 
-      if (hasMatchingTopic || hasMatchingCategory) {
+      if (hasMatchingTopic || hasMatchingCategory || hasMatchingBroader) {
         results.push({
           articleId: node.id,
           title: node.title,
           url: node.url,
           relevance: hasMatchingTopic ? 2 : 1,
-          matchedTopics: topics.filter(t => 
+          matchedTopics: [...topics, ...broader].filter(t => 
             t.toLowerCase().includes(topicLower)
           )
         });
@@ -260,13 +294,57 @@ class KnowledgeGraph {
       .slice(0, limit);
   }
 
+  /**
+   * Articles matching materials labels; each criterion is optional and
+   * matched case-insensitively
+   * @param {Object} criteria - { commodity, stage, country, policy }
+   */
+  queryByMaterials({ commodity, stage, country, policy } = {}, limit = 10) {
+    const matches = (wanted, values) => !wanted ||
+      values.some(value => value.toLowerCase() === wanted.toLowerCase());
+    const results = [];
+
+    for (const node of this.nodes.values()) {
+      const labels = node.labels;
+      const commodities = labels.commodities || [];
+      const countries = [...(labels.producingCountries || []), ...(labels.consumingCountries || [])];
+      const policies = (labels.policyInstruments || []).map(p => p.type);
+
+      const matchedCommodities = commodities.filter(c =>
+        matches(commodity, [c.symbol, c.code, c.name].filter(Boolean))
+      );
+
+      if (
+        (!commodity || matchedCommodities.length > 0) &&
+        matches(stage, labels.supplyChainStages || []) &&
+        matches(country, countries) &&
+        matches(policy, policies)
+      ) {
+        results.push({
+          articleId: node.id,
+          title: node.title,
+          url: node.url,
+          commodities,
+          supplyChainStages: labels.supplyChainStages || [],
+          producingCountries: labels.producingCountries || [],
+          consumingCountries: labels.consumingCountries || [],
+          policyInstruments: labels.policyInstruments || []
+        });
+      }
+    }
+
+    return results.slice(0, limit);
+  }
+
   getGraphStats() {
     return {
       totalNodes: this.nodes.size,
       totalEdges: this.edges.size,
       relationshipTypes: this.getRelationshipTypes(),
       nodesByCategory: this.aggregateByField('categories'),
-      nodesBySentiment: this.aggregateByField('sentiment')
+      nodesBySentiment: this.aggregateByField('sentiment'),
+      nodesByCommodity: this.aggregateByField('commodities'),
+      nodesBySupplyChainStage: this.aggregateByField('supplyChainStages')
     };
   }
 
@@ -287,6 +365,15 @@ class KnowledgeGraph {
         categories.forEach(cat => {
           aggregation[cat] = (aggregation[cat] || 0) + 1;
         });
+      } else if (field === 'commodities') {
+        commodityKeys(node.labels).forEach(key => {
+          aggregation[key] = (aggregation[key] || 0) + 1;
+        });
+      } else if (field === 'supplyChainStages') {
+        const stages = node.labels.supplyChainStages || [];
+        stages.forEach(stage => {
+          aggregation[stage] = (aggregation[stage] || 0) + 1;
+        });
       } else if (field === 'sentiment') {
         const sentiment = node.labels.sentiment;
         if (sentiment) {
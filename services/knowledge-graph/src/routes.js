@@ -41,7 +41,8 @@ router.post('/graph/add/:id', async (req, res) => {
         graph.addRelationship(id, similar.articleId, 'RELATES_TO', {
           strength: similar.similarity,
           sharedTopics: similar.sharedTopics,
-          sharedKeywords: similar.sharedKeywords.slice(0, 3)
+          sharedKeywords: similar.sharedKeywords.slice(0, 3),
+          sharedCommodities: similar.sharedCommodities
         });
       }
     }
@@ -95,7 +96,8 @@ router.post('/graph/sync', async (req, res) => {
             graph.addRelationship(article.id, similar.articleId, 'RELATES_TO', {
               strength: similar.similarity,
               sharedTopics: similar.sharedTopics,
-              sharedKeywords: similar.sharedKeywords.slice(0, 3)
+              sharedKeywords: similar.sharedKeywords.slice(0, 3),
+              sharedCommodities: similar.sharedCommodities
             });
             relationshipsCreated++;
           } catch (error) {
@@ -202,6 +204,30 @@ router.get('/graph/query/keyword', async (req, res) => {
   }
 });
 
+// GET /api/graph/query/materials - Query by commodity (symbol, code or name),
+// supply-chain stage, producing/consuming country or policy instrument type
+router.get('/graph/query/materials', async (req, res) => {
+  try {
+    const { commodity, stage, country, policy, limit = 10 } = req.query;
+
+    if (!commodity && !stage && !country && !policy) {
+      return res.status(400).json({ error: 'At least one of "commodity", "stage", "country" or "policy" is required' });
+    }
+
+    const results = graph.queryByMaterials({ commodity, stage, country, policy }, parseInt(limit));
+
+    res.json({
+      success: true,
+      query: { commodity, stage, country, policy },
+      resultCount: results.length,
+      results
+    });
+  } catch (error) {
+    logger.error('Query by materials error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/graph/stats - Get graph statistics
 router.get('/graph/stats', async (req, res) => {
   try {
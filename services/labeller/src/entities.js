@@ -0,0 +1,331 @@
+import { readFileSync, existsSync, promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from './utils/logger.js';
+
+// Create __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const ENTITY_TYPES = ['country', 'place', 'organization', 'person'];
+
+// Label fields holding entity mentions, and what they resolve to
+const ENTITY_FIELDS = {
+  people: 'person',
+  organizations: 'organization',
+  locations: 'location',
+  producingCountries: 'location',
+  consumingCountries: 'location'
+};
+
+const ORGANIZATION_SUFFIXES = /\s+(inc|incorporated|ltd|limited|llc|plc|corp|corporation|co|company|group|holdings|sa|ag|nv|se|tbk|pty|gmbh|asa|ab)$/;
+const PERSON_TITLES = /^(dr|mr|mrs|ms|prof|professor|sir|dame)\s+/;
+const GOVERNMENT = /^(?:(.+?)(?: s)? (?:federal |national |central )?(?:government|administration)|government of (.+))$/;
+
+/**
+ * Lookup key: case, accents, punctuation and a leading "the" don't matter
+ */
+function entityKey(value) {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the\s+/, '');
+}
+
+function matchKey(value, type) {
+  const key = entityKey(value);
+  if (type === 'organization') return key.replace(ORGANIZATION_SUFFIXES, '') || key;
+  if (type === 'person') return key.replace(PERSON_TITLES, '');
+  return key;
+}
+
+/**
+ * Canonical records for the people, organisations and places the labeller
+ * extracts. Countries come from a bundled ISO 3166-1 list
+ * (services/labeller/countries.json) and have ids like "country:US";
+ * other entities are created the first time they are seen, with ids like
+ * "organization:lynas-rare-earths" that stay stable across merges (merged
+ * ids are kept in `mergedIds`). The registry is kept in
+ * data/entities/registry.json.
+ */
+class EntityRegistry {
+  constructor(countriesFile = join(__dirname, '../countries.json')) {
+    const projectRoot = join(__dirname, '../../..');
+    this.dataDir = join(projectRoot, 'data', 'entities');
+    this.registryFile = join(this.dataDir, 'registry.json');
+    this.countriesFile = countriesFile;
+    this.entities = new Map(); // id -> entity
+    this.writing = Promise.resolve(); // Serialises registry writes
+    this.load();
+  }
+
+  load() {
+    const { countries } = JSON.parse(readFileSync(this.countriesFile, 'utf8'));
+    let stored = [];
+
+    if (existsSync(this.registryFile)) {
+      try {
+        stored = JSON.parse(readFileSync(this.registryFile, 'utf8')).entities || [];
+      } catch (error) {
+        logger.error(`Failed to read entity registry ${this.registryFile}:`, error);
+      }
+    }
+
+    this.entities = new Map(stored.map(entity => [entity.id, entity]));
+
+    // Countries added to the bundled list since the registry was written
+    for (const country of countries) {
+      const id = `country:${country.code}`;
+      const merged = stored.some(entity => entity.mergedIds?.includes(id));
+      if (this.entities.has(id) || merged) continue;
+
+      this.entities.set(id, {
+        id,
+        type: 'country',
+        name: country.name,
+        code: country.code,
+        alpha3: country.alpha3,
+        aliases: country.aliases,
+        demonyms: country.demonyms || [],
+        mergedIds: []
+      });
+    }
+
+    this.reindex();
+    logger.info(`Loaded entity registry: ${this.entities.size} entities`);
+  }
+
+  reindex() {
+    this.index = new Map(); // `${group}:${key}` -> id
+    this.redirects = new Map(); // merged id -> id
+
+    for (const entity of this.entities.values()) {
+      const group = entity.type === 'country' || entity.type === 'place' ? 'location' : entity.type;
+      for (const name of [entity.name, ...entity.aliases]) {
+        // Registries written before alpha-3 codes had their own index list them as aliases
+        if (name === entity.alpha3) continue;
+        this.index.set(`${group}:${matchKey(name, entity.type)}`, entity.id);
+      }
+      if (entity.alpha3) {
+        this.index.set(`alpha3:${entity.alpha3}`, entity.id);
+      }
+      for (const demonym of entity.demonyms || []) {
+        this.index.set(`demonym:${entityKey(demonym)}`, entity.id);
+      }
+      for (const mergedId of entity.mergedIds || []) {
+        this.redirects.set(mergedId, entity.id);
+      }
+    }
+  }
+
+  save() {
+    const entities = Array.from(this.entities.values());
+    const write = this.writing.then(async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.writeFile(this.registryFile, JSON.stringify({ entities }, null, 2), 'utf8');
+    });
+    this.writing = write.catch(error => logger.error('Failed to save entity registry:', error));
+    return this.writing;
+  }
+
+  /**
+   * Entity by id, following merges
+   */
+  getEntity(id) {
+    return this.entities.get(id) || this.entities.get(this.redirects.get(id)) || null;
+  }
+
+  /**
+   * @param {Object} options - { type, q, ids } - q matches names and aliases
+   */
+  search({ type, q, ids } = {}) {
+    const query = q ? entityKey(q) : null;
+
+    return Array.from(this.entities.values()).filter(entity =>
+      (!type || entity.type === type) &&
+      (!ids || ids.has(entity.id)) &&
+      (!query || [entity.name, ...entity.aliases, entity.code || ''].some(name => entityKey(name).includes(query)))
+    );
+  }
+
+  /**
+   * Country by name, alias or demonym. ISO alpha-3 codes only match in upper
+   * case: in lower case many are everyday words ("and", "are", "can").
+   */
+  findCountry(value) {
+    const key = entityKey(value);
+    const id = this.index.get(`location:${key}`) ||
+      this.index.get(`demonym:${key}`) ||
+      this.index.get(`alpha3:${String(value).trim()}`);
+    const entity = id ? this.entities.get(id) : null;
+    return entity?.type === 'country' ? entity : null;
+  }
+
+  /**
+   * Resolve a mention to its entity, creating one if it is new
+   * @param {string} mention - Name as extracted
+   * @param {string} kind - "person", "organization" or "location"
+   */
+  resolve(mention, kind) {
+    const name = mention.trim();
+    const type = kind === 'location' ? 'place' : kind;
+    const key = matchKey(name, type);
+    if (!key) return null;
+
+    // An upper-case ISO code ("CAN") is the country even if "can" became a place
+    let entity = kind === 'location' ? this.entities.get(this.index.get(`alpha3:${name}`)) : null;
+    entity ||= this.entities.get(this.index.get(`${kind}:${key}`));
+
+    // "US Government", "Government of Australia", "Chinese government"
+    if (!entity && kind === 'organization') {
+      const government = entityKey(name).match(GOVERNMENT);
+      if (government) entity = this.findCountry(government[1] || government[2]);
+    }
+
+    // "Chinese" as a location is China, not a new place
+    if (!entity && kind === 'location') {
+      entity = this.findCountry(name);
+    }
+
+    if (!entity) {
+      entity = this.create(name, type, key);
+    } else if (entity.name !== name && !entity.aliases.includes(name)) {
+      entity.aliases.push(name);
+      if (name !== entity.alpha3) this.index.set(`${kind}:${key}`, entity.id);
+      this.dirty = true;
+    }
+
+    return entity;
+  }
+
+  create(name, type, key) {
+    const slug = key.replace(/\s+/g, '-');
+    let id = `${type}:${slug}`;
+    for (let n = 2; this.entities.has(id) || this.redirects.has(id); n++) {
+      id = `${type}:${slug}-${n}`;
+    }
+
+    const entity = {
+      id,
+      type,
+      name,
+      aliases: [],
+      mergedIds: [],
+      createdAt: new Date().toISOString()
+    };
+
+    this.entities.set(id, entity);
+    this.index.set(`${type === 'place' ? 'location' : type}:${key}`, id);
+    this.dirty = true;
+    logger.info(`New entity: ${id}`);
+    return entity;
+  }
+
+  /**
+   * Resolve every entity mention in a set of labels. Fields are rewritten
+   * with canonical names where the entity is of the field's kind; each
+   * mention is recorded in labels.entityRefs with the string the LLM used.
+   * Mentions already in entityRefs are re-resolved from that string, so
+   * this can be re-run after merges.
+   */
+  async resolveLabels(labels) {
+    const entityRefs = [];
+    const previous = labels.entityRefs || [];
+    const fields = {};
+
+    for (const [field, kind] of Object.entries(ENTITY_FIELDS)) {
+      const current = field in labels ? labels[field] : labels.entities?.[field];
+      if (!Array.isArray(current)) continue;
+
+      const earlier = previous.filter(ref => ref.field === field).map(ref => ref.mention);
+      const mentions = earlier.length > 0 ? earlier : current.filter(value => typeof value === 'string');
+      const names = new Map();
+
+      for (const mention of mentions) {
+        const entity = this.resolve(mention, kind);
+        if (!entity) continue;
+
+        entityRefs.push({ id: entity.id, type: entity.type, name: entity.name, mention, field });
+
+        // An organisation field keeps "US Government" rather than the country name
+        const sameKind = kind === 'location' || entity.type === kind;
+        const value = sameKind ? entity.name : mention;
+        if (!names.has(entityKey(value))) names.set(entityKey(value), value);
+      }
+
+      fields[field] = Array.from(names.values());
+    }
+
+    const earlierCountries = previous.filter(ref => ref.field === 'policyInstruments');
+    const policyInstruments = (labels.policyInstruments || []).map(instrument => {
+      if (!instrument.country) return instrument;
+      const earlier = earlierCountries.shift();
+      const mention = earlier?.name === instrument.country ? earlier.mention : instrument.country;
+      const entity = this.resolve(mention, 'location');
+      if (!entity) return instrument;
+      entityRefs.push({ id: entity.id, type: entity.type, name: entity.name, mention, field: 'policyInstruments' });
+      return { ...instrument, country: entity.name };
+    });
+
+    if (this.dirty) {
+      this.dirty = false;
+      await this.save();
+    }
+
+    const { people, organizations, locations, ...countries } = fields;
+    return {
+      ...labels,
+      ...countries,
+      ...(labels.entities && {
+        entities: {
+          ...labels.entities,
+          ...(people && { people }),
+          ...(organizations && { organizations }),
+          ...(locations && { locations })
+        }
+      }),
+      ...(labels.policyInstruments && { policyInstruments }),
+      entityRefs
+    };
+  }
+
+  /**
+   * Fold `sourceId` into `targetId`: the source's names become aliases of
+   * the target and its id is kept in the target's mergedIds. Countries can
+   * absorb other entities but can't be merged away.
+   * @returns {Object} The updated target
+   */
+  async merge(sourceId, targetId) {
+    const source = this.getEntity(sourceId);
+    const target = this.getEntity(targetId);
+
+    if (!source || !target) {
+      throw new Error(`Entity not found: ${source ? targetId : sourceId}`);
+    }
+    if (source.id === target.id) {
+      throw new Error('Cannot merge an entity into itself');
+    }
+    if (source.type === 'country') {
+      throw new Error('ISO countries cannot be merged into another entity');
+    }
+
+    for (const name of [source.name, ...source.aliases]) {
+      if (name !== target.name && !target.aliases.includes(name)) target.aliases.push(name);
+    }
+    target.mergedIds = [...(target.mergedIds || []), source.id, ...(source.mergedIds || [])];
+    target.updatedAt = new Date().toISOString();
+
+    this.entities.delete(source.id);
+    this.reindex();
+    await this.save();
+
+    logger.info(`Merged entity ${source.id} into ${target.id}`);
+    return target;
+  }
+}
+
+export default EntityRegistry;
@@ -2,8 +2,12 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import Anthropic from '@anthropic-ai/sdk';
+import { providerFromEnv } from '@article-kb/llm';
 import logger from './utils/logger.js';
+import Taxonomy from './taxonomy.js';
+import EntityRegistry from './entities.js';
+import { normaliseMaterials, SUPPLY_CHAIN_STAGES, POLICY_INSTRUMENT_TYPES } from './utils/materials.js';
+import { validateLabels, SENTIMENTS, COMPLEXITIES, CONTENT_TYPES } from './utils/labelSchema.js';
 
 // Create __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -13,41 +17,77 @@ const __dirname = dirname(__filename);
 dotenv.config({ path: path.join(__dirname, '../../../.env') });
 
 class AILabeller {
-  constructor() {
-    this.client = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-    this.model = process.env.AI_MODEL || 'claude-sonnet-4-20250514';
+  /**
+   * @param {Object} provider - LLM provider from @article-kb/llm; defaults to
+   *   the one configured by LABELLER_LLM_PROVIDER / LLM_PROVIDER
+   * @param {Taxonomy} taxonomy - Controlled vocabulary labels are mapped onto
+   * @param {EntityRegistry} entities - Registry extracted entities are resolved against
+   */
+  constructor(provider = providerFromEnv('LABELLER'), taxonomy = new Taxonomy(), entities = new EntityRegistry()) {
+    this.provider = provider;
+    this.taxonomy = taxonomy;
+    this.entities = entities;
+    // Repair prompts sent after a response fails validation (0 disables repair)
+    this.repairAttempts = Math.max(0, envInt('LABEL_REPAIR_ATTEMPTS', 2));
   }
 
+  /**
+   * Label an article. A response that doesn't match LABEL_SCHEMA is sent
+   * back with its validation errors for repair, up to repairAttempts times.
+   * @throws {Error} If no attempt produced valid labels; `validationErrors`
+   *   holds each attempt's response and errors
+   */
   async labelArticle(article) {
     try {
       logger.info(`Labelling article: ${article.id}`);
 
       const prompt = this.buildPrompt(article);
-      
-      const message = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 2000,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
-
-      const responseText = message.content[0].text;
-      const labels = this.parseLabels(responseText);
+      const failedAttempts = [];
+      let completion;
+      let parsed;
+
+      for (let attempt = 1; attempt <= this.repairAttempts + 1; attempt++) {
+        const previous = failedAttempts[failedAttempts.length - 1];
+        completion = await this.provider.complete({
+          prompt: previous ? this.buildRepairPrompt(prompt, previous) : prompt,
+          maxTokens: 2000,
+          task: 'label'
+        });
+
+        parsed = this.parseLabels(completion.text);
+        if (parsed.errors.length === 0) break;
+
+        logger.warn(`Invalid labels for article ${article.id} (attempt ${attempt}): ` +
+          parsed.errors.map(error => `${error.path} ${error.message}`).join('; '));
+        failedAttempts.push({ attempt, response: completion.text, errors: parsed.errors });
+      }
+
+      if (parsed.errors.length > 0) {
+        const error = new Error(`LLM output failed validation after ${failedAttempts.length} attempts`);
+        error.validationErrors = failedAttempts;
+        throw error;
+      }
+
+      const labels = await this.entities.resolveLabels(
+        this.taxonomy.apply(normaliseMaterials(parsed.labels))
+      );
 
       logger.info(`Successfully labelled article: ${article.id}`);
       
       return {
         ...labels,
         labelledAt: new Date().toISOString(),
-        modelUsed: this.model
+        modelUsed: completion.model,
+        providerUsed: completion.provider,
+        ...(failedAttempts.length > 0 && {
+          repairs: failedAttempts.map(({ attempt, errors }) => ({ attempt, errors }))
+        })
       };
     } catch (error) {
       logger.error('Labelling error:', error);
-      throw new Error(`Failed to label article: ${error.message}`);
+      const failure = new Error(`Failed to label article: ${error.message}`);
+      failure.validationErrors = error.validationErrors;
+      throw failure;
     }
   }
 
@@ -58,6 +98,7 @@ Article Title: ${article.title}
 Author: ${article.author || 'Unknown'}
 Excerpt: ${article.excerpt || 'N/A'}
 Content: ${article.content ? article.content.substring(0, 3000) : 'N/A'}
+${this.formatTables(article.tables)}
 
 Please provide the following analysis in valid JSON format:
 {
@@ -70,49 +111,78 @@ Please provide the following analysis in valid JSON format:
     "products": ["product 1"]
   },
   "keywords": ["keyword1", "keyword2", "keyword3", "keyword4", "keyword5"],
-  "sentiment": "positive|negative|neutral",
+  "commodities": ["commodity or critical mineral, e.g. lithium, cobalt, rare earths, iron ore"],
+  "supplyChainStages": ["${SUPPLY_CHAIN_STAGES.join('|')}"],
+  "producingCountries": ["country producing or supplying the commodities"],
+  "consumingCountries": ["country consuming or importing the commodities"],
+  "policyInstruments": [
+    { "type": "${POLICY_INSTRUMENT_TYPES.join('|')}", "description": "short description", "country": "country imposing it" }
+  ],
+  "sentiment": "${SENTIMENTS.join('|')}",
   "summary": "A concise 2-3 sentence summary of the article",
   "readingTime": "estimated minutes to read",
-  "complexity": "beginner|intermediate|advanced",
-  "contentType": "news|opinion|tutorial|research|review|analysis"
+  "complexity": "${COMPLEXITIES.join('|')}",
+  "contentType": "${CONTENT_TYPES.join('|')}"
 }
 
+Only list commodities, stages, countries and policy instruments the article actually discusses; use empty arrays otherwise.
 Respond ONLY with valid JSON, no additional text.`;
   }
 
+  /**
+   * Tables from the scraper as Markdown, so figures keep their row and
+   * column headers instead of being read from flattened text
+   */
+  formatTables(tables = [], { maxTables = 3, maxRows = 20 } = {}) {
+    if (!tables?.length) return '';
+
+    const rendered = tables.slice(0, maxTables).map(table => {
+      const rows = table.rows.slice(0, maxRows);
+      const header = table.headers || rows.shift() || [];
+      const lines = [
+        `| ${header.join(' | ')} |`,
+        `| ${header.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.join(' | ')} |`)
+      ];
+      if (table.rows.length > maxRows) lines.push(`(${table.rows.length - maxRows} more rows)`);
+      return [table.caption && `Table: ${table.caption}`, ...lines].filter(Boolean).join('\n');
+    });
+
+    return `\nTables:\n${rendered.join('\n\n')}\n`;
+  }
+
+  /**
+   * Ask the model to correct a response that failed validation
+   */
+  buildRepairPrompt(prompt, failedAttempt) {
+    return `${prompt}
+
+Your previous response did not match the required format:
+${failedAttempt.errors.map(error => `- ${error.path}: ${error.message}`).join('\n')}
+
+Previous response:
+${failedAttempt.response.substring(0, 4000)}
+
+Correct these problems and respond ONLY with valid JSON, no additional text.`;
+  }
+
+  /**
+   * Parse the LLM's response and check it against LABEL_SCHEMA
+   * @returns {Object} { labels, errors } - labels is null if the response
+   *   isn't JSON; errors is empty if the labels are valid
+   */
   parseLabels(responseText) {
+    let labels;
     try {
-      // Try to extract JSON from the response
+      // Try to extract JSON from the response, else parse the entire response
       const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      // If no JSON found, try parsing the entire response
-      return JSON.parse(responseText);
+      labels = JSON.parse(jsonMatch ? jsonMatch[0] : responseText);
     } catch (error) {
-      logger.error('Failed to parse AI response:', error);
-      debug('Response text:', responseText);
-      
-      // Return default structure if parsing fails
-      return {
-        categories: [],
-        topics: [],
-        entities: {
-          people: [],
-          organizations: [],
-          locations: [],
-          products: []
-        },
-        keywords: [],
-        sentiment: 'neutral',
-        summary: 'Failed to generate summary',
-        readingTime: 'Unknown',
-        complexity: 'unknown',
-        contentType: 'unknown',
-        parseError: true
-      };
+      logger.debug(`Unparseable response text: ${responseText}`);
+      return { labels: null, errors: [{ path: '/', message: `not valid JSON (${error.message})` }] };
     }
+
+    return { labels, errors: validateLabels(labels) };
   }
 
   async batchLabel(articles) {
@@ -130,7 +200,8 @@ Respond ONLY with valid JSON, no additional text.`;
         results.push({
           success: false,
           articleId: article.id,
-          error: error.message
+          error: error.message,
+          validationErrors: error.validationErrors
         });
       }
       
@@ -179,4 +250,10 @@ Respond ONLY with valid JSON, no additional text.`;
   }
 }
 
+// Like parseInt(process.env[name]) || fallback, but lets 0 through
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
 export default AILabeller;
\ No newline at end of file
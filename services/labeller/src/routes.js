@@ -4,52 +4,26 @@ import axios from 'axios';
 import AILabeller from './labeller.js';
 import TaggedArticleStorage from './storage.js';
 import logger from './utils/logger.js';
+import { materialsFilter, commodityKey } from './utils/materials.js';
+import { ENTITY_TYPES } from './entities.js';
 
-const labeller = new AILabeller();
+export const labeller = new AILabeller();
 const storage = new TaggedArticleStorage();
 
 const SCRAPER_URL = process.env.SCRAPER_URL || 'http://localhost:3001';
 
-// POST /api/label/:id - Label a single article
-router.post('/label/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    logger.info(`Fetching article ${id} from scraper service`);
-    
-    // Fetch article from scraper service
-    const response = await axios.get(`${SCRAPER_URL}/api/articles/${id}`);
-    const article = response.data.article;
-
-    // Label the article
-    const labels = await labeller.labelArticle(article);
-
-    // Create tagged article
-    const taggedArticle = {
-      ...article,
-      labels
-    };
-
-    // Save tagged article
-    await storage.saveTaggedArticle(taggedArticle);
-
-    res.json({
-      success: true,
-      taggedArticle,
-      message: 'Article labelled successfully'
-    });
-  } catch (error) {
-    logger.error('Label error:', error);
-    
-    if (error.response?.status === 404) {
-      return res.status(404).json({ error: 'Article not found in scraper service' });
-    }
-    
-    res.status(500).json({ error: error.message });
-  }
+// Record for an article the LLM never returned valid labels for
+const labelFailure = (article, message, validationErrors) => ({
+  articleId: article.id,
+  title: article.title,
+  url: article.url,
+  status: 'failed',
+  error: message,
+  attempts: validationErrors,
+  failedAt: new Date().toISOString()
 });
 
-// POST /api/label/batch - Label multiple articles
+// POST /api/label/batch - Label multiple articles (registered before /label/:id)
 router.post('/label/batch', async (req, res) => {
   try {
     const { articleIds } = req.body;
@@ -65,7 +39,7 @@ router.post('/label/batch', async (req, res) => {
     // Fetch all articles
     for (const id of articleIds) {
       try {
-        const response = await get(`${SCRAPER_URL}/api/articles/${id}`);
+        const response = await axios.get(`${SCRAPER_URL}/api/articles/${id}`);
         articles.push(response.data.article);
       } catch (error) {
         logger.warn(`Failed to fetch article ${id}:`, error.message);
@@ -75,17 +49,20 @@ router.post('/label/batch', async (req, res) => {
     // Label all articles
     const results = await labeller.batchLabel(articles);
 
-    // Save successful labels
+    // Save successful labels and record validation failures
     const savedArticles = [];
     for (const result of results) {
+      const article = articles.find(a => a.id === result.articleId);
       if (result.success) {
-        const article = articles.find(a => a.id === result.articleId);
         const taggedArticle = {
           ...article,
           labels: result.labels
         };
         await storage.saveTaggedArticle(taggedArticle);
+        await storage.deleteLabelFailure(article.id);
         savedArticles.push(taggedArticle);
+      } else if (result.validationErrors) {
+        await storage.saveLabelFailure(labelFailure(article, result.error, result.validationErrors));
       }
     }
 
@@ -97,7 +74,8 @@ router.post('/label/batch', async (req, res) => {
       taggedArticles: savedArticles,
       errors: results.filter(r => !r.success).map(r => ({
         articleId: r.articleId,
-        error: r.error
+        error: r.error,
+        validationErrors: r.validationErrors
       }))
     });
   } catch (error) {
@@ -106,6 +84,94 @@ router.post('/label/batch', async (req, res) => {
   }
 });
 
+// POST /api/label/:id - Label a single article
+router.post('/label/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    logger.info(`Fetching article ${id} from scraper service`);
+    
+    // Fetch article from scraper service
+    const response = await axios.get(`${SCRAPER_URL}/api/articles/${id}`);
+    const article = response.data.article;
+
+    // Label the article; invalid output is recorded as a failure, not stored as labels
+    let labels;
+    try {
+      labels = await labeller.labelArticle(article);
+    } catch (error) {
+      if (!error.validationErrors) throw error;
+
+      await storage.saveLabelFailure(labelFailure(article, error.message, error.validationErrors));
+      return res.status(422).json({
+        error: error.message,
+        articleId: id,
+        validationErrors: error.validationErrors
+      });
+    }
+
+    // Create tagged article
+    const taggedArticle = {
+      ...article,
+      labels
+    };
+
+    // Save tagged article
+    await storage.saveTaggedArticle(taggedArticle);
+    await storage.deleteLabelFailure(id);
+
+    res.json({
+      success: true,
+      taggedArticle,
+      message: 'Article labelled successfully'
+    });
+  } catch (error) {
+    logger.error('Label error:', error);
+    
+    if (error.response?.status === 404) {
+      return res.status(404).json({ error: 'Article not found in scraper service' });
+    }
+    
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/label/failures - Articles whose labelling failed validation, most recent first
+router.get('/label/failures', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const failures = await storage.getAllLabelFailures(parseInt(limit), parseInt(offset));
+
+    res.json({
+      success: true,
+      count: failures.length,
+      failures
+    });
+  } catch (error) {
+    logger.error('Get label failures error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/label/failures/:id - Each attempt's response and validation errors for an article
+router.get('/label/failures/:id', async (req, res) => {
+  try {
+    const failure = await storage.getLabelFailure(req.params.id);
+
+    if (!failure) {
+      return res.status(404).json({ error: 'Label failure not found' });
+    }
+
+    res.json({
+      success: true,
+      failure
+    });
+  } catch (error) {
+    logger.error('Get label failure error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/tagged/:id - Get tagged article
 router.get('/tagged/:id', async (req, res) => {
   try {
@@ -127,10 +193,11 @@ router.get('/tagged/:id', async (req, res) => {
 });
 
 // GET /api/tagged - Get all tagged articles
+// (?commodity=Li,REE ?stage=refining ?country= ?producer= ?consumer= ?policy=export-control)
 router.get('/tagged', async (req, res) => {
   try {
     const { limit = 50, offset = 0 } = req.query;
-    const articles = await storage.getAllTaggedArticles(parseInt(limit), parseInt(offset));
+    const articles = await storage.getAllTaggedArticles(parseInt(limit), parseInt(offset), materialsFilter(req.query));
     
     res.json({
       success: true,
@@ -159,9 +226,17 @@ router.get('/tags', async (req, res) => {
         locations: new Set(),
         products: new Set()
       },
+      commodities: {},
+      supplyChainStages: {},
+      producingCountries: {},
+      consumingCountries: {},
+      policyInstruments: {},
       sentiments: {},
       contentTypes: {}
     };
+    const count = (counts, key) => {
+      counts[key] = (counts[key] || 0) + 1;
+    };
 
     articles.forEach(article => {
       if (!article.labels) return;
@@ -177,6 +252,16 @@ router.get('/tags', async (req, res) => {
         article.labels.entities.products?.forEach(p => aggregation.entities.products.add(p));
       }
 
+      article.labels.commodities?.forEach(commodity => {
+        const key = commodityKey(commodity);
+        const entry = aggregation.commodities[key] || (aggregation.commodities[key] = { ...commodity, count: 0 });
+        entry.count++;
+      });
+      article.labels.supplyChainStages?.forEach(s => count(aggregation.supplyChainStages, s));
+      article.labels.producingCountries?.forEach(c => count(aggregation.producingCountries, c));
+      article.labels.consumingCountries?.forEach(c => count(aggregation.consumingCountries, c));
+      article.labels.policyInstruments?.forEach(p => count(aggregation.policyInstruments, p.type));
+
       // Count sentiments and content types
       const sentiment = article.labels.sentiment;
       if (sentiment) {
@@ -200,6 +285,11 @@ router.get('/tags', async (req, res) => {
         locations: Array.from(aggregation.entities.locations),
         products: Array.from(aggregation.entities.products)
       },
+      commodities: Object.values(aggregation.commodities).sort((a, b) => b.count - a.count),
+      supplyChainStages: aggregation.supplyChainStages,
+      producingCountries: aggregation.producingCountries,
+      consumingCountries: aggregation.consumingCountries,
+      policyInstruments: aggregation.policyInstruments,
       sentiments: aggregation.sentiments,
       contentTypes: aggregation.contentTypes,
       totalArticles: articles.length
@@ -215,4 +305,327 @@ router.get('/tags', async (req, res) => {
   }
 });
 
+// GET /api/taxonomy - Controlled vocabulary terms
+router.get('/taxonomy', async (req, res) => {
+  try {
+    const terms = labeller.taxonomy.getTerms();
+
+    res.json({
+      success: true,
+      count: terms.length,
+      terms
+    });
+  } catch (error) {
+    logger.error('Get taxonomy error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/taxonomy/unmatched - Label strings no term matches, most frequent first
+router.get('/taxonomy/unmatched', async (req, res) => {
+  try {
+    const { limit = 100 } = req.query;
+    const articles = await storage.getAllTaggedArticles(Infinity);
+    const counts = {};
+
+    articles.forEach(article => {
+      article.labels?.taxonomy?.unmatched?.forEach(value => {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+    });
+
+    const unmatched = Object.entries(counts)
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, parseInt(limit));
+
+    res.json({
+      success: true,
+      count: unmatched.length,
+      unmatched
+    });
+  } catch (error) {
+    logger.error('Get unmatched labels error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/taxonomy/terms/:id - A term with its broader and narrower terms
+router.get('/taxonomy/terms/:id', async (req, res) => {
+  try {
+    const term = labeller.taxonomy.getTerm(req.params.id);
+
+    if (!term) {
+      return res.status(404).json({ error: 'Term not found' });
+    }
+
+    res.json({
+      success: true,
+      term,
+      ancestors: labeller.taxonomy.ancestors(term.id),
+      children: labeller.taxonomy.children(term.id)
+    });
+  } catch (error) {
+    logger.error('Get term error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/taxonomy/reload - Re-read the taxonomy (the edited copy under
+// data/taxonomy, or the bundled file); an invalid file keeps the current terms
+router.post('/taxonomy/reload', async (req, res) => {
+  try {
+    const terms = labeller.taxonomy.load();
+
+    res.json({
+      success: true,
+      count: terms.length
+    });
+  } catch (error) {
+    logger.error('Reload taxonomy error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// POST /api/taxonomy/merge - Fold a term or raw label string into a term:
+// { "source": "rare-earth-metals", "target": "rare-earths" }
+router.post('/taxonomy/merge', async (req, res) => {
+  try {
+    const { source, target } = req.body;
+
+    if (!source || !target) {
+      return res.status(400).json({ error: 'source and target are required' });
+    }
+
+    if (!labeller.taxonomy.getTerm(target) && !labeller.taxonomy.lookup(target)) {
+      return res.status(404).json({ error: 'Target term not found' });
+    }
+
+    let term;
+    try {
+      term = labeller.taxonomy.merge(source, target);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      success: true,
+      term,
+      message: 'Terms merged; POST /api/taxonomy/apply to update tagged articles'
+    });
+  } catch (error) {
+    logger.error('Merge terms error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/taxonomy/apply - Re-map every tagged article onto the current
+// vocabulary, starting from the labels the LLM originally returned
+router.post('/taxonomy/apply', async (req, res) => {
+  try {
+    const articles = await storage.getAllTaggedArticles(Infinity);
+    // appliedAt always changes, so compare without it
+    const comparable = labels => JSON.stringify({ ...labels, taxonomy: { ...labels.taxonomy, appliedAt: null } });
+    let updated = 0;
+
+    for (const article of articles) {
+      if (!article.labels) continue;
+
+      const labels = labeller.taxonomy.apply(article.labels);
+      if (comparable(labels) !== comparable(article.labels)) {
+        await storage.saveTaggedArticle({ ...article, labels });
+        updated++;
+      }
+    }
+
+    logger.info(`Re-applied taxonomy: ${updated} of ${articles.length} tagged articles changed`);
+
+    res.json({
+      success: true,
+      total: articles.length,
+      updated,
+      message: 'Taxonomy re-applied; POST /api/graph/sync on the knowledge graph to refresh its nodes'
+    });
+  } catch (error) {
+    logger.error('Apply taxonomy error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tagged articles by the entities they mention, following merges
+function mentionsByEntity(articles) {
+  const mentions = new Map(); // entity id -> [{ article, refs }]
+
+  for (const article of articles) {
+    const refsById = new Map();
+    for (const ref of article.labels?.entityRefs || []) {
+      const id = labeller.entities.getEntity(ref.id)?.id || ref.id;
+      if (!refsById.has(id)) refsById.set(id, []);
+      refsById.get(id).push(ref);
+    }
+    for (const [id, refs] of refsById) {
+      if (!mentions.has(id)) mentions.set(id, []);
+      mentions.get(id).push({ article, refs });
+    }
+  }
+
+  return mentions;
+}
+
+// GET /api/entities - Entities mentioned in tagged articles, most mentioned first
+// (?type=country|place|organization|person ?q=name or alias; with either, unmentioned entities are included)
+router.get('/entities', async (req, res) => {
+  try {
+    const { type, q, limit = 50, offset = 0 } = req.query;
+
+    if (type && !ENTITY_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${ENTITY_TYPES.join(', ')}` });
+    }
+
+    const mentions = mentionsByEntity(await storage.getAllTaggedArticles(Infinity));
+    const ids = type || q ? null : new Set(mentions.keys());
+
+    const entities = labeller.entities.search({ type, q, ids })
+      .map(entity => ({ ...entity, mentionCount: mentions.get(entity.id)?.length || 0 }))
+      .sort((a, b) => b.mentionCount - a.mentionCount || a.name.localeCompare(b.name));
+
+    res.json({
+      success: true,
+      total: entities.length,
+      count: Math.min(parseInt(limit), Math.max(entities.length - parseInt(offset), 0)),
+      entities: entities.slice(parseInt(offset), parseInt(offset) + parseInt(limit))
+    });
+  } catch (error) {
+    logger.error('Get entities error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/entities/:id - An entity (ids merged away resolve to their target)
+router.get('/entities/:id', async (req, res) => {
+  try {
+    const entity = labeller.entities.getEntity(req.params.id);
+
+    if (!entity) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    const mentions = mentionsByEntity(await storage.getAllTaggedArticles(Infinity));
+
+    res.json({
+      success: true,
+      entity: { ...entity, mentionCount: mentions.get(entity.id)?.length || 0 }
+    });
+  } catch (error) {
+    logger.error('Get entity error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/entities/:id/articles - Every tagged article that mentions an entity
+router.get('/entities/:id/articles', async (req, res) => {
+  try {
+    const entity = labeller.entities.getEntity(req.params.id);
+
+    if (!entity) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    const mentions = mentionsByEntity(await storage.getAllTaggedArticles(Infinity)).get(entity.id) || [];
+    const articles = mentions.map(({ article, refs }) => ({
+      id: article.id,
+      title: article.title,
+      url: article.url,
+      labelledAt: article.labels.labelledAt,
+      mentions: refs.map(ref => ({ mention: ref.mention, field: ref.field }))
+    }));
+
+    res.json({
+      success: true,
+      entity,
+      count: articles.length,
+      articles
+    });
+  } catch (error) {
+    logger.error('Get entity articles error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/entities/merge - Fold one entity into another and update the
+// tagged articles that mention it:
+// { "source": "organization:lynas-corporation", "target": "organization:lynas-rare-earths" }
+router.post('/entities/merge', async (req, res) => {
+  try {
+    const { source, target } = req.body;
+
+    if (!source || !target) {
+      return res.status(400).json({ error: 'source and target are required' });
+    }
+
+    const sourceEntity = labeller.entities.getEntity(source);
+    if (!sourceEntity || !labeller.entities.getEntity(target)) {
+      return res.status(404).json({ error: `Entity not found: ${sourceEntity ? target : source}` });
+    }
+
+    let entity;
+    try {
+      entity = await labeller.entities.merge(source, target);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const articles = mentionsByEntity(await storage.getAllTaggedArticles(Infinity)).get(entity.id) || [];
+    let updated = 0;
+
+    for (const { article, refs } of articles) {
+      if (!refs.some(ref => ref.id === sourceEntity.id)) continue;
+
+      const labels = await labeller.entities.resolveLabels(article.labels);
+      await storage.saveTaggedArticle({ ...article, labels });
+      updated++;
+    }
+
+    res.json({
+      success: true,
+      entity,
+      updated,
+      message: 'Entities merged; POST /api/graph/sync on the knowledge graph to refresh its nodes'
+    });
+  } catch (error) {
+    logger.error('Merge entities error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/entities/apply - Resolve the entities of every tagged article,
+// including those labelled before entity resolution
+router.post('/entities/apply', async (req, res) => {
+  try {
+    const articles = await storage.getAllTaggedArticles(Infinity);
+    let updated = 0;
+
+    for (const article of articles) {
+      if (!article.labels) continue;
+
+      const labels = await labeller.entities.resolveLabels(article.labels);
+      if (JSON.stringify(labels) !== JSON.stringify(article.labels)) {
+        await storage.saveTaggedArticle({ ...article, labels });
+        updated++;
+      }
+    }
+
+    logger.info(`Resolved entities: ${updated} of ${articles.length} tagged articles changed`);
+
+    res.json({
+      success: true,
+      total: articles.length,
+      updated
+    });
+  } catch (error) {
+    logger.error('Apply entities error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
\ No newline at end of file
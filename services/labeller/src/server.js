@@ -4,7 +4,8 @@ import { dirname } from 'path';
 import dotenv from 'dotenv';
 import express, { json } from 'express';
 import cors from 'cors';
-import labellerRoutes from './routes.js';
+import { describeProvider } from '@article-kb/llm';
+import labellerRoutes, { labeller } from './routes.js';
 import logger from './utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -35,7 +36,7 @@ app.get('/health', (req, res) => {
     status: 'healthy', 
     service: 'labeller',
     timestamp: new Date().toISOString(),
-    apiKeyConfigured: !!process.env.ANTHROPIC_API_KEY
+    llm: describeProvider(labeller.provider)
   });
 });
 
@@ -50,8 +51,10 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   logger.info(`Labeller service running on port ${PORT}`);
-  if (!process.env.ANTHROPIC_API_KEY) {
-    warn('WARNING: ANTHROPIC_API_KEY not configured');
+  const { provider, model, configured } = describeProvider(labeller.provider);
+  logger.info(`Labelling with ${provider} (${model || 'no model set'})`);
+  if (!configured) {
+    logger.warn(`WARNING: LLM provider ${provider} is not configured (missing API key or model)`);
   }
 });
 
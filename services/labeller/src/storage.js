@@ -12,6 +12,7 @@ class TaggedArticleStorage {
     // Find project root (where package.json is located)
     const projectRoot = join(__dirname, '../../..');
     this.dataDir = join(projectRoot, 'data', 'tagged-articles');
+    this.failuresDir = join(projectRoot, 'data', 'label-failures');
     this.ensureDataDir();
     this.ensureDataDir();
   }
@@ -54,7 +55,7 @@ class TaggedArticleStorage {
     }
   }
 
-  async getAllTaggedArticles(limit = 1000, offset = 0) {
+  async getAllTaggedArticles(limit = 1000, offset = 0, filter = null) {
     try {
       const files = await fs.readdir(this.dataDir);
       const articleFiles = files.filter(f => f.startsWith('tagged-') && f.endsWith('.json'));
@@ -70,21 +71,26 @@ class TaggedArticleStorage {
 
       filesWithStats.sort((a, b) => b.mtime - a.mtime);
 
-      // Apply pagination
-      const paginatedFiles = filesWithStats
-        .slice(offset, offset + limit)
-        .map(item => item.file);
-
-      // Read articles
-      const articles = await Promise.all(
-        paginatedFiles.map(async (file) => {
+      const readArticles = files => Promise.all(
+        files.map(async (file) => {
           const filePath = join(this.dataDir, file);
           const data = await fs.readFile(filePath, 'utf8');
           return JSON.parse(data);
         })
       );
 
-      return articles;
+      if (filter) {
+        const articles = await readArticles(filesWithStats.map(item => item.file));
+        return articles.filter(filter).slice(offset, offset + limit);
+      }
+
+      // Apply pagination
+      const paginatedFiles = filesWithStats
+        .slice(offset, offset + limit)
+        .map(item => item.file);
+
+      // Read articles
+      return readArticles(paginatedFiles);
     } catch (error) {
       logger.error('Failed to get all tagged articles:', error);
       return [];
@@ -103,6 +109,77 @@ class TaggedArticleStorage {
       }
     }
   }
+
+  getFailurePath(id) {
+    return join(this.failuresDir, `failed-${id}.json`);
+  }
+
+  /**
+   * Record an article whose labelling failed, with each attempt's validation errors
+   */
+  async saveLabelFailure(failure) {
+    try {
+      await fs.mkdir(this.failuresDir, { recursive: true });
+      await fs.writeFile(this.getFailurePath(failure.articleId), JSON.stringify(failure, null, 2), 'utf8');
+      logger.info(`Saved label failure: ${failure.articleId}`);
+      return failure;
+    } catch (error) {
+      logger.error('Failed to save label failure:', error);
+      throw error;
+    }
+  }
+
+  async getLabelFailure(id) {
+    try {
+      const data = await fs.readFile(this.getFailurePath(id), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.error('Failed to read label failure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Label failures, most recent first
+   */
+  async getAllLabelFailures(limit = 1000, offset = 0) {
+    try {
+      const files = (await fs.readdir(this.failuresDir))
+        .filter(f => f.startsWith('failed-') && f.endsWith('.json'));
+
+      const failures = await Promise.all(
+        files.map(async (file) => JSON.parse(await fs.readFile(join(this.failuresDir, file), 'utf8')))
+      );
+
+      return failures
+        .sort((a, b) => b.failedAt.localeCompare(a.failedAt))
+        .slice(offset, offset + limit);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      logger.error('Failed to get label failures:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Clear a failure once the article has been labelled
+   */
+  async deleteLabelFailure(id) {
+    try {
+      await fs.unlink(this.getFailurePath(id));
+      logger.info(`Cleared label failure: ${id}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to delete label failure:', error);
+        throw error;
+      }
+    }
+  }
 }
 
 export default TaggedArticleStorage;
\ No newline at end of file
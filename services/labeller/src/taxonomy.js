@@ -0,0 +1,290 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from './utils/logger.js';
+
+// Create __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Label fields mapped onto canonical terms (entities.products is handled alongside)
+const MAPPED_FIELDS = ['categories', 'topics', 'keywords'];
+
+// Case, spacing and hyphenation don't distinguish terms
+const termKey = value => String(value).toLowerCase().replace(/[\s\-_]+/g, ' ').trim();
+
+/**
+ * Controlled vocabulary for labels. The bundled services/labeller/taxonomy.json
+ * is the starting point; edits made through the API (merges) are written to
+ * data/taxonomy/taxonomy.json (or TAXONOMY_FILE), which is read instead once
+ * it exists:
+ * {
+ *   "terms": [
+ *     { "id": "heavy-rees", "label": "Heavy Rare Earths", "synonyms": ["HREE"], "parent": "rare-earths" }
+ *   ]
+ * }
+ * Label strings that match a term's label or synonym are replaced with the
+ * term's label. The LLM's original strings are kept in labels.taxonomy.raw,
+ * so mappings can be re-applied after the vocabulary changes.
+ */
+class Taxonomy {
+  constructor(
+    taxonomyFile = process.env.TAXONOMY_FILE || join(__dirname, '../../../data/taxonomy/taxonomy.json'),
+    bundledFile = join(__dirname, '../taxonomy.json')
+  ) {
+    this.taxonomyFile = taxonomyFile;
+    this.bundledFile = bundledFile;
+    this.terms = new Map(); // id -> term
+    this.index = new Map(); // termKey(label or synonym) -> id
+
+    try {
+      this.load();
+    } catch (error) {
+      logger.error(`${error.message}; labels will not be normalised until it is fixed and reloaded`);
+    }
+  }
+
+  /**
+   * Check a list of terms
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate(terms) {
+    if (!Array.isArray(terms)) return 'Taxonomy terms must be an array';
+
+    const ids = new Set();
+    const keys = new Map();
+    for (const term of terms) {
+      if (!term.id || !term.label) return 'Every term needs an id and a label';
+      if (ids.has(term.id)) return `Duplicate term id "${term.id}"`;
+      ids.add(term.id);
+
+      if (term.synonyms !== undefined && !Array.isArray(term.synonyms)) {
+        return `Term "${term.id}" synonyms must be an array`;
+      }
+
+      for (const name of [term.label, ...(term.synonyms || [])]) {
+        const key = termKey(name);
+        if (keys.has(key) && keys.get(key) !== term.id) {
+          return `"${name}" is used by both "${keys.get(key)}" and "${term.id}"`;
+        }
+        keys.set(key, term.id);
+      }
+    }
+
+    const byId = new Map(terms.map(term => [term.id, term]));
+    for (const term of terms) {
+      if (term.parent && !byId.has(term.parent)) {
+        return `Term "${term.id}" has unknown parent "${term.parent}"`;
+      }
+
+      // Walk up the hierarchy looking for a cycle
+      const seen = new Set([term.id]);
+      for (let parent = term.parent; parent; parent = byId.get(parent).parent) {
+        if (seen.has(parent)) return `Term "${term.id}" is its own ancestor`;
+        seen.add(parent);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * (Re)load the edited taxonomy, or the bundled one if nothing has been
+   * edited yet. An invalid file keeps the previous terms.
+   */
+  load() {
+    const file = existsSync(this.taxonomyFile) ? this.taxonomyFile : this.bundledFile;
+
+    if (!existsSync(file)) {
+      logger.warn(`Taxonomy not found: ${file} (labels are stored as extracted)`);
+      this.setTerms([]);
+      return this.getTerms();
+    }
+
+    let taxonomy;
+    try {
+      taxonomy = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read taxonomy ${file}: ${error.message}`);
+    }
+
+    const error = this.validate(taxonomy.terms);
+    if (error) {
+      throw new Error(`Invalid taxonomy ${file}: ${error}`);
+    }
+
+    this.setTerms(taxonomy.terms);
+    logger.info(`Loaded taxonomy from ${file}: ${this.terms.size} terms`);
+    return this.getTerms();
+  }
+
+  setTerms(terms) {
+    this.terms = new Map(terms.map(term => [term.id, {
+      id: term.id,
+      label: term.label,
+      synonyms: term.synonyms || [],
+      parent: term.parent || null
+    }]));
+
+    this.index = new Map();
+    for (const term of this.terms.values()) {
+      for (const name of [term.label, ...term.synonyms]) {
+        this.index.set(termKey(name), term.id);
+      }
+    }
+  }
+
+  /**
+   * Write the current terms to the edited taxonomy file, one term per line.
+   * The bundled file is never written.
+   */
+  save() {
+    const lines = this.getTerms().map(term => `    ${JSON.stringify(term)}`);
+    mkdirSync(dirname(this.taxonomyFile), { recursive: true });
+    writeFileSync(this.taxonomyFile, `{\n  "terms": [\n${lines.join(',\n')}\n  ]\n}\n`, 'utf8');
+    logger.info(`Saved taxonomy: ${this.terms.size} terms`);
+  }
+
+  getTerms() {
+    return Array.from(this.terms.values());
+  }
+
+  getTerm(id) {
+    return this.terms.get(id) || null;
+  }
+
+  /**
+   * Term for a label string, matched on label or synonym
+   */
+  lookup(value) {
+    if (typeof value !== 'string') return null;
+    const id = this.index.get(termKey(value));
+    return id ? this.terms.get(id) : null;
+  }
+
+  /**
+   * Parent, grandparent, ... of a term, nearest first
+   */
+  ancestors(id) {
+    const result = [];
+    for (let parent = this.terms.get(id)?.parent; parent; parent = this.terms.get(parent)?.parent) {
+      result.push(this.terms.get(parent));
+    }
+    return result;
+  }
+
+  children(id) {
+    return this.getTerms().filter(term => term.parent === id);
+  }
+
+  /**
+   * Map labels onto the vocabulary. Works from labels.taxonomy.raw when
+   * present, so re-applying after a vocabulary change starts from what the
+   * LLM originally said.
+   * @returns {Object} Labels with canonical strings and a `taxonomy` block:
+   *   { terms, broader, unmatched, raw, appliedAt }
+   */
+  apply(labels) {
+    const raw = labels.taxonomy?.raw || {
+      ...Object.fromEntries(MAPPED_FIELDS.map(field => [field, labels[field] || []])),
+      products: labels.entities?.products || []
+    };
+
+    const matched = new Map();
+    const unmatched = new Set();
+
+    const mapList = (values = []) => {
+      const mapped = new Map();
+      for (const value of values) {
+        if (typeof value !== 'string') continue;
+        const term = this.lookup(value);
+        if (term) matched.set(term.id, term);
+        else unmatched.add(value);
+
+        const canonical = term ? term.label : value;
+        if (!mapped.has(termKey(canonical))) mapped.set(termKey(canonical), canonical);
+      }
+      return Array.from(mapped.values());
+    };
+
+    const mapped = Object.fromEntries(MAPPED_FIELDS.map(field => [field, mapList(raw[field])]));
+    const products = mapList(raw.products);
+
+    // Commodities are already normalised; they only contribute terms
+    for (const commodity of labels.commodities || []) {
+      const term = this.lookup(commodity.name);
+      if (term) matched.set(term.id, term);
+    }
+
+    const broader = new Map();
+    for (const id of matched.keys()) {
+      for (const ancestor of this.ancestors(id)) {
+        if (!matched.has(ancestor.id)) broader.set(ancestor.id, ancestor);
+      }
+    }
+
+    const reference = term => ({ id: term.id, label: term.label });
+
+    return {
+      ...labels,
+      ...mapped,
+      ...(labels.entities && { entities: { ...labels.entities, products } }),
+      taxonomy: {
+        terms: Array.from(matched.values()).map(reference),
+        broader: Array.from(broader.values()).map(reference),
+        unmatched: Array.from(unmatched),
+        raw,
+        appliedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Fold `source` into `target`. The source may be a term (id, label or
+   * synonym), whose label and synonyms become synonyms of the target and
+   * whose children move under it, or any other string, which is added as a
+   * synonym. Saves the edited taxonomy file.
+   * @returns {Object} The updated target term
+   */
+  merge(source, target) {
+    const targetTerm = this.getTerm(target) || this.lookup(target);
+    if (!targetTerm) {
+      throw new Error(`Unknown target term: ${target}`);
+    }
+
+    const sourceTerm = this.getTerm(source) || this.lookup(source);
+    if (sourceTerm?.id === targetTerm.id) {
+      throw new Error('Cannot merge a term into itself');
+    }
+    if (sourceTerm && this.ancestors(targetTerm.id).some(term => term.id === sourceTerm.id)) {
+      throw new Error(`Cannot merge "${sourceTerm.id}" into its own descendant "${targetTerm.id}"`);
+    }
+
+    const names = sourceTerm ? [sourceTerm.label, ...sourceTerm.synonyms] : [source];
+    const synonyms = [...targetTerm.synonyms];
+    for (const name of names) {
+      const known = [targetTerm.label, ...synonyms].some(existing => termKey(existing) === termKey(name));
+      if (!known) synonyms.push(name);
+    }
+
+    const terms = this.getTerms()
+      .filter(term => term.id !== sourceTerm?.id)
+      .map(term => {
+        if (term.id === targetTerm.id) return { ...term, synonyms };
+        if (sourceTerm && term.parent === sourceTerm.id) return { ...term, parent: targetTerm.id };
+        return term;
+      });
+
+    const error = this.validate(terms);
+    if (error) {
+      throw new Error(error);
+    }
+
+    this.setTerms(terms);
+    this.save();
+    logger.info(`Merged "${sourceTerm?.id || source}" into "${targetTerm.id}"`);
+    return this.getTerm(targetTerm.id);
+  }
+}
+
+export default Taxonomy;
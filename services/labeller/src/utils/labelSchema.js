@@ -0,0 +1,93 @@
+import Ajv from 'ajv';
+
+/**
+ * JSON Schema for the labels the LLM returns, before normalisation.
+ * Materials fields are optional (older prompts and fixtures omit them) but
+ * must have the right shape when present.
+ */
+
+export const SENTIMENTS = ['positive', 'negative', 'neutral'];
+export const COMPLEXITIES = ['beginner', 'intermediate', 'advanced'];
+export const CONTENT_TYPES = ['news', 'opinion', 'tutorial', 'research', 'review', 'analysis'];
+
+const strings = (maxItems, minItems = 0) => ({
+  type: 'array',
+  items: { type: 'string', minLength: 1 },
+  minItems,
+  maxItems
+});
+
+export const LABEL_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  type: 'object',
+  required: ['categories', 'topics', 'entities', 'keywords', 'sentiment', 'summary', 'complexity', 'contentType'],
+  properties: {
+    categories: strings(5, 1),
+    topics: strings(10),
+    entities: {
+      type: 'object',
+      required: ['people', 'organizations', 'locations', 'products'],
+      properties: {
+        people: strings(50),
+        organizations: strings(50),
+        locations: strings(50),
+        products: strings(50)
+      }
+    },
+    keywords: strings(20),
+    commodities: {
+      type: 'array',
+      maxItems: 30,
+      items: {
+        anyOf: [
+          { type: 'string', minLength: 1 },
+          { type: 'object', properties: { name: { type: 'string' }, symbol: { type: 'string' } } }
+        ]
+      }
+    },
+    supplyChainStages: strings(10),
+    producingCountries: strings(30),
+    consumingCountries: strings(30),
+    policyInstruments: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        anyOf: [
+          { type: 'string', minLength: 1 },
+          {
+            type: 'object',
+            properties: {
+              // Unknown types are inferred from the description
+              type: { type: 'string' },
+              description: { type: 'string' },
+              country: { type: ['string', 'null'] }
+            }
+          }
+        ]
+      }
+    },
+    sentiment: { enum: SENTIMENTS },
+    summary: { type: 'string', minLength: 1, maxLength: 2000 },
+    readingTime: { type: ['string', 'number'] },
+    complexity: { enum: COMPLEXITIES },
+    contentType: { enum: CONTENT_TYPES }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validate = ajv.compile(LABEL_SCHEMA);
+
+/**
+ * Check parsed labels against LABEL_SCHEMA
+ * @returns {Array} [{ path, message }], empty if the labels are valid
+ */
+export function validateLabels(labels) {
+  if (validate(labels)) return [];
+
+  return validate.errors.map(error => ({
+    path: error.instancePath || '/',
+    message: error.params?.allowedValues
+      ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+      : error.message
+  }));
+}
@@ -0,0 +1,211 @@
+/**
+ * Materials-domain labels: commodities normalised to element symbols or
+ * commodity group codes, supply-chain stages, producing and consuming
+ * countries and policy instruments. The LLM proposes values; everything is
+ * normalised here so filters and the graph see one spelling per commodity.
+ */
+
+const ELEMENTS = {
+  H: 'hydrogen', He: 'helium', Li: 'lithium', Be: 'beryllium', B: 'boron', C: 'carbon',
+  N: 'nitrogen', O: 'oxygen', F: 'fluorine', Ne: 'neon', Na: 'sodium', Mg: 'magnesium',
+  Al: 'aluminium', Si: 'silicon', P: 'phosphorus', S: 'sulfur', Cl: 'chlorine', Ar: 'argon',
+  K: 'potassium', Ca: 'calcium', Sc: 'scandium', Ti: 'titanium', V: 'vanadium', Cr: 'chromium',
+  Mn: 'manganese', Fe: 'iron', Co: 'cobalt', Ni: 'nickel', Cu: 'copper', Zn: 'zinc',
+  Ga: 'gallium', Ge: 'germanium', As: 'arsenic', Se: 'selenium', Br: 'bromine', Kr: 'krypton',
+  Rb: 'rubidium', Sr: 'strontium', Y: 'yttrium', Zr: 'zirconium', Nb: 'niobium', Mo: 'molybdenum',
+  Tc: 'technetium', Ru: 'ruthenium', Rh: 'rhodium', Pd: 'palladium', Ag: 'silver', Cd: 'cadmium',
+  In: 'indium', Sn: 'tin', Sb: 'antimony', Te: 'tellurium', I: 'iodine', Xe: 'xenon',
+  Cs: 'caesium', Ba: 'barium', La: 'lanthanum', Ce: 'cerium', Pr: 'praseodymium', Nd: 'neodymium',
+  Pm: 'promethium', Sm: 'samarium', Eu: 'europium', Gd: 'gadolinium', Tb: 'terbium', Dy: 'dysprosium',
+  Ho: 'holmium', Er: 'erbium', Tm: 'thulium', Yb: 'ytterbium', Lu: 'lutetium', Hf: 'hafnium',
+  Ta: 'tantalum', W: 'tungsten', Re: 'rhenium', Os: 'osmium', Ir: 'iridium', Pt: 'platinum',
+  Au: 'gold', Hg: 'mercury', Tl: 'thallium', Pb: 'lead', Bi: 'bismuth', Po: 'polonium',
+  At: 'astatine', Rn: 'radon', Fr: 'francium', Ra: 'radium', Ac: 'actinium', Th: 'thorium',
+  Pa: 'protactinium', U: 'uranium', Np: 'neptunium', Pu: 'plutonium'
+};
+
+const SPELLINGS = { aluminum: 'aluminium', sulphur: 'sulfur', cesium: 'caesium', wolfram: 'tungsten' };
+
+// Common commodity names for single elements
+const ELEMENT_ALIASES = {
+  graphite: 'C', polysilicon: 'Si', quicksilver: 'Hg', 'iron ore': 'Fe', bauxite: 'Al', alumina: 'Al',
+  spodumene: 'Li', cassiterite: 'Sn', coltan: 'Ta', chromite: 'Cr', ilmenite: 'Ti',
+  rutile: 'Ti', potash: 'K', phosphate: 'P', fluorspar: 'F', yellowcake: 'U'
+};
+
+// Commodities that cover several elements
+const COMMODITY_GROUPS = [
+  { code: 'HREE', name: 'Heavy rare earth elements', pattern: /\bheavy rare earths?\b|\bhrees?\b/i },
+  { code: 'LREE', name: 'Light rare earth elements', pattern: /\blight rare earths?\b|\blrees?\b/i },
+  { code: 'REE', name: 'Rare earth elements', pattern: /\brare[ -]earths?\b|\brees?\b|\blanthanides\b/i },
+  { code: 'PGM', name: 'Platinum group metals', pattern: /\bplatinum[ -]group\b|\bpgms?\b/i }
+];
+
+export const SUPPLY_CHAIN_STAGES = ['mining', 'refining', 'processing', 'manufacturing', 'recycling'];
+
+const STAGE_ALIASES = {
+  mine: 'mining', mines: 'mining', extraction: 'mining', exploration: 'mining', upstream: 'mining',
+  smelting: 'refining', refinery: 'refining', separation: 'refining', midstream: 'processing',
+  beneficiation: 'processing', conversion: 'processing', fabrication: 'manufacturing',
+  production: 'manufacturing', downstream: 'manufacturing', recycle: 'recycling',
+  'end-of-life': 'recycling', 'urban mining': 'recycling'
+};
+
+export const POLICY_INSTRUMENT_TYPES = [
+  'tariff', 'export-control', 'import-restriction', 'sanction', 'subsidy', 'tax-credit',
+  'stockpile', 'quota', 'investment-screening', 'trade-agreement', 'regulation', 'other'
+];
+
+const SYMBOLS_BY_NAME = Object.fromEntries(
+  Object.entries(ELEMENTS).map(([symbol, name]) => [name, symbol])
+);
+
+const capitalise = value => value.charAt(0).toUpperCase() + value.slice(1);
+
+function uniqueBy(items, key) {
+  const seen = new Set();
+  return items.filter(item => {
+    const value = key(item);
+    if (seen.has(value)) return false;
+    seen.add(value);
+    return true;
+  });
+}
+
+function cleanStrings(values) {
+  if (!Array.isArray(values)) return [];
+  return uniqueBy(
+    values.filter(value => typeof value === 'string').map(value => value.trim()).filter(Boolean),
+    value => value.toLowerCase()
+  );
+}
+
+/**
+ * Normalise one commodity name (or { name, symbol }) from the LLM
+ * @returns {Object|null} { name, symbol, code } - symbol for single elements,
+ *   code for groups such as REE and PGM, both null if neither is known
+ */
+export function normaliseCommodity(value) {
+  const raw = typeof value === 'string' ? value : value?.name || value?.symbol;
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+  const name = raw.trim();
+
+  if (ELEMENTS[name]) {
+    return { name: capitalise(ELEMENTS[name]), symbol: name, code: null };
+  }
+
+  const group = COMMODITY_GROUPS.find(entry => entry.pattern.test(name));
+  if (group) {
+    return { name: group.name, symbol: null, code: group.code };
+  }
+
+  const lower = SPELLINGS[name.toLowerCase()] || name.toLowerCase();
+  if (SYMBOLS_BY_NAME[lower]) {
+    return { name: capitalise(lower), symbol: SYMBOLS_BY_NAME[lower], code: null };
+  }
+  if (ELEMENT_ALIASES[lower]) {
+    return { name: capitalise(lower), symbol: ELEMENT_ALIASES[lower], code: null };
+  }
+
+  // Compounds and products named after an element ("lithium hydroxide", "cobalt sulphate")
+  const word = lower.split(/[^a-z]+/)
+    .map(part => SPELLINGS[part] || part)
+    .find(part => SYMBOLS_BY_NAME[part] || ELEMENT_ALIASES[part]);
+  const symbol = word ? SYMBOLS_BY_NAME[word] || ELEMENT_ALIASES[word] : null;
+
+  return { name: capitalise(name), symbol, code: null };
+}
+
+/**
+ * Key commodities are compared and filtered by
+ */
+export function commodityKey(commodity) {
+  return commodity.symbol || commodity.code || commodity.name.toLowerCase();
+}
+
+export function normaliseStage(value) {
+  if (typeof value !== 'string') return null;
+  const lower = value.trim().toLowerCase();
+  if (SUPPLY_CHAIN_STAGES.includes(lower)) return lower;
+  return STAGE_ALIASES[lower] || SUPPLY_CHAIN_STAGES.find(stage => lower.startsWith(stage.slice(0, 5))) || null;
+}
+
+export function normalisePolicyInstrument(value) {
+  const instrument = typeof value === 'string' ? { description: value } : value;
+  if (!instrument || typeof instrument !== 'object') return null;
+
+  const description = typeof instrument.description === 'string' ? instrument.description.trim() : '';
+  let type = String(instrument.type || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (!POLICY_INSTRUMENT_TYPES.includes(type)) {
+    // "tariff on EVs" with no usable type still says what kind of instrument it is
+    const text = `${type} ${description}`.toLowerCase();
+    type = POLICY_INSTRUMENT_TYPES.find(known => text.includes(known.replace('-', ' '))) || 'other';
+  }
+  const country = typeof instrument.country === 'string' && instrument.country.trim()
+    ? instrument.country.trim()
+    : null;
+
+  if (!description && type === 'other') return null;
+
+  return {
+    type,
+    description,
+    country
+  };
+}
+
+/**
+ * Normalise the materials fields of parsed labels in place of the raw LLM values
+ */
+export function normaliseMaterials(labels) {
+  const asArray = value => (Array.isArray(value) ? value : []);
+
+  return {
+    ...labels,
+    commodities: uniqueBy(
+      asArray(labels.commodities).map(normaliseCommodity).filter(Boolean),
+      commodityKey
+    ),
+    supplyChainStages: [...new Set(asArray(labels.supplyChainStages).map(normaliseStage).filter(Boolean))],
+    producingCountries: cleanStrings(labels.producingCountries),
+    consumingCountries: cleanStrings(labels.consumingCountries),
+    policyInstruments: asArray(labels.policyInstruments).map(normalisePolicyInstrument).filter(Boolean)
+  };
+}
+
+/**
+ * Filter for tagged articles from query parameters
+ * (commodity, stage, country, producer, consumer, policy; comma-separated)
+ * @returns {Function|null} Predicate, or null if no materials filter was given
+ */
+export function materialsFilter({ commodity, stage, country, producer, consumer, policy }) {
+  if (!commodity && !stage && !country && !producer && !consumer && !policy) {
+    return null;
+  }
+
+  const list = value => (value ? String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean) : null);
+  const commodities = list(commodity);
+  const stages = list(stage);
+  const countries = list(country);
+  const producers = list(producer);
+  const consumers = list(consumer);
+  const policies = list(policy);
+
+  const anyOf = (wanted, values) => !wanted || values.some(value => wanted.includes(value.toLowerCase()));
+
+  return article => {
+    const labels = article.labels || {};
+    const commodityValues = (labels.commodities || [])
+      .flatMap(item => [item.symbol, item.code, item.name])
+      .filter(Boolean);
+    const producing = labels.producingCountries || [];
+    const consuming = labels.consumingCountries || [];
+
+    return anyOf(commodities, commodityValues) &&
+      anyOf(stages, labels.supplyChainStages || []) &&
+      anyOf(countries, [...producing, ...consuming]) &&
+      anyOf(producers, producing) &&
+      anyOf(consumers, consuming) &&
+      anyOf(policies, (labels.policyInstruments || []).map(item => item.type));
+  };
+}
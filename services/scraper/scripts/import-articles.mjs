@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Import saved files as articles, straight into article storage (the
+ * scraper service does not need to be running).
+ *
+ *   npm run import -- [--url <url>] [--format html|warc|markdown|text|pdf] <file-or-directory>...
+ *
+ * Directories are imported recursively. --url only makes sense for a
+ * single file. With the service running, POST /api/import does the same.
+ */
+import { promises as fs } from 'fs';
+import { join, basename } from 'path';
+import ArticleScraper from '../src/ArticleScraper.js';
+import ArticleStorage from '../src/ArticleStorage.js';
+import ArticleImporter, { IMPORT_FORMATS } from '../src/ArticleImporter.js';
+import { saveScrapeResults } from '../src/utils/scrape-results.js';
+
+function parseArgs(argv) {
+  const options = { url: null, format: null, paths: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') {
+      options.url = argv[++i];
+    } else if (arg === '--format') {
+      options.format = argv[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      options.paths.push(arg);
+    }
+  }
+
+  return options;
+}
+
+async function collectFiles(path) {
+  const stat = await fs.stat(path);
+  if (!stat.isDirectory()) return [path];
+
+  const entries = await fs.readdir(path);
+  const nested = await Promise.all(
+    entries
+      .filter(entry => !entry.startsWith('.'))
+      .map(entry => collectFiles(join(path, entry)))
+  );
+  return nested.flat();
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || options.paths.length === 0) {
+    console.log('Usage: npm run import -- [--url <url>] [--format html|warc|markdown|text|pdf] <file-or-directory>...');
+    process.exit(options.help ? 0 : 1);
+  }
+
+  if (options.format && !IMPORT_FORMATS.includes(options.format)) {
+    console.error(`❌ --format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const files = (await Promise.all(options.paths.map(collectFiles))).flat();
+
+  if (options.url && files.length > 1) {
+    console.error('❌ --url can only be used when importing a single file');
+    process.exit(1);
+  }
+
+  const importer = new ArticleImporter(new ArticleScraper());
+  const storage = new ArticleStorage();
+  const totals = { new: 0, updated: 0, unchanged: 0, failed: 0 };
+
+  for (const file of files) {
+    const data = await fs.readFile(file);
+    const results = await importer.importFile(data, {
+      fileName: basename(file),
+      url: options.url,
+      format: options.format
+    });
+    const summary = await saveScrapeResults(storage, results);
+
+    totals.new += summary.newCount;
+    totals.updated += summary.updatedCount;
+    totals.unchanged += summary.unchangedCount;
+    totals.failed += summary.failureCount;
+
+    for (const outcome of summary.outcomes) {
+      const article = summary.articles.find(a => a.id === outcome.id);
+      console.log(`✅ ${file}: ${outcome.status} ${article.id} "${article.title || 'Untitled'}"`);
+    }
+    for (const error of summary.errors) {
+      console.log(`❌ ${file}: ${error.error}`);
+    }
+  }
+
+  console.log(`\n📊 ${files.length} files: ${totals.new} new, ${totals.updated} updated, ${totals.unchanged} unchanged, ${totals.failed} failed`);
+  process.exit(totals.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,447 @@
+import { gunzipSync } from 'zlib';
+import { load } from 'cheerio';
+import PdfExtractor from './PdfExtractor.js';
+import { parseWarc } from './utils/warc.js';
+import { renderPlainText, tablesFromBlocks } from './utils/content-blocks.js';
+import { parseDate, dateConfidence } from './utils/dates.js';
+import { normaliseUrl, contentHash } from './utils/canonical-url.js';
+import logger from './utils/logger.js';
+
+export const IMPORT_FORMATS = ['html', 'warc', 'markdown', 'text', 'pdf'];
+
+// Parsing needs an absolute URL; documents without one get a placeholder
+// under the reserved .invalid TLD, which is dropped again after parsing
+const PLACEHOLDER_ORIGIN = 'https://import.invalid/';
+
+// Metadata header keys and the article fields they map to
+const HEADER_FIELDS = {
+  title: 'title',
+  author: 'author',
+  authors: 'author',
+  by: 'author',
+  date: 'publishDate',
+  published: 'publishDate',
+  publishdate: 'publishDate',
+  publish_date: 'publishDate',
+  published_at: 'publishDate',
+  url: 'url',
+  source: 'url',
+  link: 'url',
+  canonical: 'url',
+  publisher: 'publisher',
+  site: 'publisher',
+  tags: 'tags',
+  keywords: 'tags',
+  description: 'excerpt',
+  excerpt: 'excerpt',
+  summary: 'excerpt',
+  section: 'section',
+  category: 'section'
+};
+
+/**
+ * Turns saved files into articles without fetching anything: HTML pages
+ * (run through ArticleScraper.parseArticle), WARC archives, PDFs and plain
+ * text or Markdown with an optional metadata header. Every article is
+ * marked with sourceType "import".
+ */
+class ArticleImporter {
+  constructor(scraper) {
+    this.scraper = scraper;
+  }
+
+  detectFormat(data, fileName = '', contentType = '') {
+    const name = (fileName || '').toLowerCase();
+
+    if (PdfExtractor.isPdf(data, contentType)) return 'pdf';
+    if (/\.warc(\.gz)?$/.test(name) || /application\/warc/i.test(contentType) || isWarc(data)) return 'warc';
+    if (/\.(md|markdown)$/.test(name) || /markdown/i.test(contentType)) return 'markdown';
+    if (/\.(html?|xhtml|mht)$/.test(name) || /html/i.test(contentType)) return 'html';
+    if (/\.txt$/.test(name) || /text\/plain/i.test(contentType)) return 'text';
+
+    const head = data.subarray(0, 1024).toString('utf8').trimStart().toLowerCase();
+    if (head.startsWith('<!doctype html') || head.startsWith('<html') || /<(head|body|article)[\s>]/.test(head)) {
+      return 'html';
+    }
+
+    return 'text';
+  }
+
+  /**
+   * Import one file
+   * @param {Buffer} data - File contents
+   * @param {Object} options - { fileName, url, format, contentType }
+   * @returns {Array} Results shaped like ArticleScraper.scrapeArticle's:
+   *   { success: true, article } or { success: false, url, error }, with
+   *   `rejected` set for files with no text or too low a quality score
+   */
+  async importFile(data, { fileName = null, url = null, format = null, contentType = '' } = {}) {
+    const importFormat = format || this.detectFormat(data, fileName, contentType);
+
+    if (!IMPORT_FORMATS.includes(importFormat)) {
+      throw new Error(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    logger.info(`Importing ${fileName || 'upload'} as ${importFormat}`);
+
+    if (importFormat === 'warc') {
+      return this.importWarc(data, { fileName });
+    }
+
+    try {
+      let article;
+      if (importFormat === 'pdf') {
+        article = await this.scraper.parsePdf(data, url, { fileName });
+      } else if (importFormat === 'html') {
+        article = this.importHtml(this.scraper.decodeBody(data, contentType), { url, fileName });
+      } else {
+        article = this.importText(data.toString('utf8'), { url, fileName, markdown: importFormat === 'markdown' });
+      }
+
+      return [this.importResult(article, importFormat, fileName)];
+    } catch (error) {
+      logger.error(`Failed to import ${fileName || 'upload'}:`, error);
+      return [{ success: false, url: url || fileName, error: error.message }];
+    }
+  }
+
+  importHtml(html, { url = null, fileName = null } = {}) {
+    const knownUrl = url || findDeclaredUrl(html);
+    const pageUrl = knownUrl || `${PLACEHOLDER_ORIGIN}${encodeURIComponent(fileName || 'document')}`;
+    const article = this.scraper.parseArticle(html, pageUrl);
+
+    if (!knownUrl) {
+      article.url = null;
+      article.canonicalUrl = null;
+    }
+
+    return article;
+  }
+
+  /**
+   * Archived HTML and PDF responses become articles; everything else in the
+   * archive (requests, metadata, images, redirects) is skipped
+   */
+  async importWarc(data, { fileName = null } = {}) {
+    const results = [];
+    const records = parseWarc(data);
+
+    for (const record of records) {
+      const usable = (
+        (record.type === 'response' && record.status >= 200 && record.status < 300) ||
+        record.type === 'resource'
+      );
+      if (!usable || !record.targetUri) continue;
+
+      const isPdf = PdfExtractor.isPdf(record.body, record.contentType || '');
+      if (!isPdf && !/html/i.test(record.contentType || '')) continue;
+
+      try {
+        const article = isPdf
+          ? await this.scraper.parsePdf(record.body, record.targetUri, { fileName })
+          : this.scraper.parseArticle(this.scraper.decodeBody(record.body, record.contentType), record.targetUri);
+
+        article.archivedAt = record.date;
+        results.push(this.importResult(article, 'warc', fileName));
+      } catch (error) {
+        logger.error(`Failed to import ${record.targetUri} from WARC:`, error);
+        results.push({ success: false, url: record.targetUri, error: error.message });
+      }
+    }
+
+    logger.info(`WARC ${fileName || 'upload'}: ${records.length} records, ${results.length} pages imported`);
+
+    if (results.length === 0) {
+      return [{ success: false, url: fileName, error: 'No HTML or PDF responses found in WARC' }];
+    }
+
+    return results;
+  }
+
+  /**
+   * Plain text or Markdown, optionally starting with a metadata header:
+   * YAML-style front matter between "---" lines, or "Key: value" lines
+   * followed by a blank line
+   */
+  importText(text, { url = null, fileName = null, markdown = false } = {}) {
+    const { meta, body } = parseMetadataHeader(text);
+    const contentBlocks = textToBlocks(body, markdown);
+    const fieldSources = {};
+
+    const fromHeader = field => {
+      const value = meta[field];
+      if (Array.isArray(value) ? value.length > 0 : value) fieldSources[field] = 'header';
+      return value ?? null;
+    };
+
+    let title = fromHeader('title');
+    if (!title) {
+      const firstBlock = contentBlocks.find(block => block.type === 'heading') || contentBlocks[0];
+      title = firstBlock?.text?.slice(0, 200) || fileName;
+      if (title) fieldSources.title = 'heuristic';
+    }
+
+    const documentUrl = url || fromHeader('url');
+    const rawDate = fromHeader('publishDate');
+    const date = parseDate(rawDate);
+
+    const content = renderPlainText(contentBlocks);
+
+    const article = {
+      url: documentUrl,
+      canonicalUrl: documentUrl ? normaliseUrl(documentUrl) : null,
+      title,
+      author: fromHeader('author'),
+      publishDate: date?.iso || null,
+      publishDateRaw: rawDate,
+      publishDateConfidence: dateConfidence(date, 'header'),
+      modifiedDate: null,
+      publisher: fromHeader('publisher'),
+      section: fromHeader('section'),
+      content,
+      contentBlocks,
+      tables: tablesFromBlocks(contentBlocks),
+      excerpt: fromHeader('excerpt'),
+      imageUrl: null,
+      tags: fromHeader('tags') || [],
+      documentType: markdown ? 'markdown' : 'text',
+      extractionProfile: null,
+      fieldSources,
+      quality: this.scraper.assessQuality({ text: content, blocks: contentBlocks }),
+      scrapedAt: new Date().toISOString()
+    };
+
+    article.contentHash = contentHash(article.content);
+    return article;
+  }
+
+  /**
+   * Imports go through the same quality gate as scraped pages: a file with
+   * no text (a scanned PDF, a header-only text file) or a score below the
+   * reject threshold is reported as a failure rather than saved
+   */
+  importResult(article, importFormat, fileName) {
+    const source = article.url || article.fileName || fileName;
+
+    if (!article.content?.trim()) {
+      logger.warn(`Rejected import ${source}: no text extracted`);
+      return {
+        success: false,
+        rejected: true,
+        error: article.documentType === 'pdf' ? 'No text extracted (scanned PDF?)' : 'No text extracted',
+        quality: article.quality,
+        url: source
+      };
+    }
+
+    if (article.quality.status === 'rejected') {
+      const { score, flags } = article.quality;
+      logger.warn(`Rejected low-quality import ${source}: score ${score}${flags.length ? ` (${flags.join(', ')})` : ''}`);
+      return {
+        success: false,
+        rejected: true,
+        error: `Extraction quality too low (score ${score}${flags.length ? `: ${flags.join(', ')}` : ''})`,
+        quality: article.quality,
+        url: source
+      };
+    }
+
+    return { success: true, article: this.markAsImported(article, importFormat, fileName) };
+  }
+
+  /**
+   * Record where an imported article came from, with the licence and
+   * attribution terms of its publisher if the policy lists one
+   */
+  markAsImported(article, importFormat, fileName) {
+    return {
+      ...article,
+      sourceType: 'import',
+      importFormat,
+      fileName: article.fileName || fileName || null,
+      rights: this.scraper.policy.rightsFor(article.url)
+    };
+  }
+}
+
+function isWarc(data) {
+  if (data.subarray(0, 5).toString('latin1') === 'WARC/') return true;
+
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    try {
+      return gunzipSync(data).subarray(0, 5).toString('latin1') === 'WARC/';
+    } catch {
+      return false;
+    }
+  }
+
+  return false;
+}
+
+// Canonical / og:url declared by a saved page, if it is an http(s) URL
+function findDeclaredUrl(html) {
+  const $ = load(html);
+  const declared = (
+    $('link[rel="canonical"]').attr('href') ||
+    $('meta[property="og:url"]').attr('content')
+  );
+
+  try {
+    const parsed = new URL(declared?.trim());
+    return parsed.protocol.startsWith('http') ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(["'])(.*)\1$/, '$2');
+}
+
+function parseHeaderValue(field, value) {
+  if (field === 'tags') {
+    return value
+      .replace(/^\[|\]$/g, '')
+      .split(',')
+      .map(unquote)
+      .filter(Boolean);
+  }
+  return unquote(value) || null;
+}
+
+/**
+ * Split a leading metadata header off a text document
+ * @returns {Object} { meta: article fields, body }
+ */
+function parseMetadataHeader(text) {
+  const normalised = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  let headerLines = [];
+  let body = normalised;
+
+  const frontMatter = normalised.match(/^---\n([\s\S]*?)\n(?:---|\.\.\.)\n?/);
+  if (frontMatter) {
+    headerLines = frontMatter[1].split('\n');
+    body = normalised.slice(frontMatter[0].length);
+  } else {
+    // "Key: value" lines are only a header if the first one is a known key
+    const lines = normalised.split('\n');
+    const firstKey = lines[0].match(/^([A-Za-z_ ]+):\s/)?.[1].trim().toLowerCase();
+    if (firstKey && HEADER_FIELDS[firstKey.replace(/\s+/g, '_')]) {
+      const blank = lines.findIndex(line => !line.trim());
+      const end = blank === -1 ? lines.length : blank;
+      headerLines = lines.slice(0, end);
+      body = lines.slice(end + 1).join('\n');
+    }
+  }
+
+  const meta = {};
+  let listField = null;
+
+  for (const line of headerLines) {
+    // YAML list items under a key, e.g. "tags:\n  - lithium"
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listField) {
+      meta[listField] = [...(meta[listField] || []), unquote(item[1])];
+      continue;
+    }
+
+    const match = line.match(/^([A-Za-z_ ]+):\s*(.*)$/);
+    if (!match) continue;
+
+    const field = HEADER_FIELDS[match[1].trim().toLowerCase().replace(/\s+/g, '_')];
+    listField = null;
+    if (!field || meta[field]) continue;
+
+    if (!match[2].trim()) {
+      listField = field;
+      continue;
+    }
+    meta[field] = parseHeaderValue(field, match[2]);
+  }
+
+  if (Array.isArray(meta.author)) meta.author = meta.author.join(', ');
+
+  return { meta, body };
+}
+
+// Strip inline Markdown: emphasis, code, links and images
+function inlineText(text, markdown) {
+  const stripped = markdown
+    ? text
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__|\*|_|`)(\S(?:.*?\S)?)\1/g, '$2')
+    : text;
+  return stripped.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Content blocks for a text body. Plain text is split into paragraphs on
+ * blank lines; Markdown also yields headings, lists, quotes and tables.
+ */
+function textToBlocks(body, markdown) {
+  const blocks = [];
+  let paragraph = [];
+  let current = null; // list, quote or table being built
+
+  const flush = () => {
+    const text = inlineText(paragraph.join(' '), markdown);
+    if (text) blocks.push({ type: 'paragraph', text });
+    paragraph = [];
+    if (current) {
+      blocks.push(current);
+      current = null;
+    }
+  };
+
+  for (const line of body.split('\n')) {
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    if (!markdown) {
+      paragraph.push(line);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    const quote = line.match(/^>\s?(.*)$/);
+    const tableRow = /^\s*\|.*\|\s*$/.test(line);
+
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: inlineText(heading[2], true) });
+    } else if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      if (paragraph.length || current?.type !== 'list' || current.ordered !== ordered) flush();
+      current = current || { type: 'list', ordered, items: [] };
+      current.items.push(inlineText(listItem[2], true));
+    } else if (quote) {
+      if (paragraph.length || current?.type !== 'quote') flush();
+      current = current || { type: 'quote', text: '' };
+      current.text = inlineText(`${current.text} ${quote[1]}`, true);
+    } else if (tableRow) {
+      if (paragraph.length || current?.type !== 'table') flush();
+      current = current || { type: 'table', caption: null, headers: null, rows: [] };
+      // The |---|---| separator marks the row above it as the header row
+      if (/^\s*\|[\s:|-]+\|\s*$/.test(line)) {
+        if (current.rows.length === 1 && !current.headers) current.headers = current.rows.shift();
+      } else {
+        current.rows.push(line.trim().replace(/^\||\|$/g, '').split('|').map(cell => inlineText(cell, true)));
+      }
+    } else if (current?.type === 'list' && /^\s+\S/.test(line)) {
+      // Continuation of the previous list item
+      current.items[current.items.length - 1] += ` ${inlineText(line, true)}`;
+    } else {
+      if (current) flush();
+      paragraph.push(line);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+export default ArticleImporter;
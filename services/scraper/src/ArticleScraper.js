@@ -1,5 +1,18 @@
 import axios from 'axios';
 import { load } from 'cheerio';
+import RobotsTxt from './RobotsTxt.js';
+import HostScheduler from './HostScheduler.js';
+import ExtractionProfiles from './ExtractionProfiles.js';
+import PdfExtractor from './PdfExtractor.js';
+import ResponseCache from './ResponseCache.js';
+import PublisherPolicy from './PublisherPolicy.js';
+import { normaliseUrl, contentHash } from './utils/canonical-url.js';
+import { extractBlocks, renderPlainText, tablesFromBlocks } from './utils/content-blocks.js';
+import { extractStructuredData, METADATA_SOURCES } from './utils/structured-data.js';
+import { parseDate, parseDateFromUrl, findDateInText, dateConfidence } from './utils/dates.js';
+import { detectPaywallMarkup, linkDensity, scoreExtraction } from './utils/quality.js';
+import { extractLinks } from './utils/links.js';
+import { findNextPageUrl, pageNumber } from './utils/pagination.js';
 import logger from './utils/logger.js';
 
 class ArticleScraper {
@@ -9,90 +22,385 @@ class ArticleScraper {
       maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
       timeout: 10000,
       userAgent: process.env.USER_AGENT || 'ArticleBot/1.0',
+      respectRobots: process.env.RESPECT_ROBOTS !== 'false',
+      robotsCacheTtl: parseInt(process.env.ROBOTS_CACHE_TTL) || 24 * 60 * 60 * 1000,
+      // Quality scores (0-100) below these are flagged, or not saved at all
+      qualityFlagBelow: envInt('QUALITY_FLAG_BELOW', 50),
+      qualityRejectBelow: envInt('QUALITY_REJECT_BELOW', 20),
+      // Pages of a multi-page article to stitch together (profiles can override)
+      maxArticlePages: parseInt(process.env.MAX_ARTICLE_PAGES) || 10,
       ...config
     };
-    this.lastRequestTime = 0;
+    this.robotsCache = new Map(); // origin -> { robots, fetchedAt }
+    this.scheduler = new HostScheduler({
+      defaultDelay: this.config.requestDelay,
+      ...this.config.scheduler
+    });
+    this.profiles = this.config.profiles || new ExtractionProfiles();
+    this.pdfExtractor = this.config.pdfExtractor || new PdfExtractor();
+    this.responseCache = this.config.responseCache || new ResponseCache();
+    this.policy = this.config.policy || new PublisherPolicy();
+    // Optional async (url) => stored article; enables conditional re-fetches
+    this.articleLookup = this.config.articleLookup || null;
   }
 
-  async respectfulDelay() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.config.requestDelay) {
-      const waitTime = this.config.requestDelay - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+  async checkRobotsTxt(baseUrl) {
+    const origin = new URL(baseUrl).origin;
+    const cached = this.robotsCache.get(origin);
+
+    if (cached && Date.now() - cached.fetchedAt < this.config.robotsCacheTtl) {
+      return cached.robots;
     }
-    
-    this.lastRequestTime = Date.now();
-  }
 
-  async checkRobotsTxt(baseUrl) {
+    const robotsUrl = new URL('/robots.txt', origin).href;
+    let robots;
+
     try {
-      const robotsUrl = new URL('/robots.txt', baseUrl).href;
-      const response = await axios.get(robotsUrl, {  
+      const response = await axios.get(robotsUrl, {
         timeout: this.config.timeout,
-        headers: { 'User-Agent': this.config.userAgent }
+        headers: { 'User-Agent': this.config.userAgent },
+        responseType: 'text',
+        maxContentLength: 500 * 1024,
+        validateStatus: () => true
       });
-      
-      logger.info(`Checked robots.txt for ${baseUrl}`);  
-      return response.data;
+
+      if (response.status >= 200 && response.status < 300) {
+        robots = RobotsTxt.parse(response.data);
+        logger.info(`Checked robots.txt for ${origin}`);
+      } else if (response.status >= 400 && response.status < 500) {
+        robots = RobotsTxt.allowEverything();
+        logger.warn(`No robots.txt found for ${origin} (${response.status})`);
+      } else {
+        robots = RobotsTxt.disallowEverything();
+        logger.warn(`robots.txt unavailable for ${origin} (${response.status}), treating as disallowed`);
+      }
     } catch (error) {
-      logger.warn(`No robots.txt found for ${baseUrl}`);
-      return null;
+      robots = RobotsTxt.disallowEverything();
+      logger.warn(`robots.txt unreachable for ${origin}, treating as disallowed: ${error.message}`);
     }
+
+    this.robotsCache.set(origin, { robots, fetchedAt: Date.now() });
+    return robots;
   }
 
-  async fetchUrl(url, retries = 0) {
-    await this.respectfulDelay();
-    
+  async checkRobotsPermission(url) {
+    if (!this.config.respectRobots) {
+      return { allowed: true, rule: null, crawlDelay: null };
+    }
+
+    const robots = await this.checkRobotsTxt(url);
+    const { allowed, rule } = robots.check(url, this.config.userAgent);
+
+    return {
+      allowed,
+      rule,
+      crawlDelay: robots.getCrawlDelay(this.config.userAgent)
+    };
+  }
+
+  /**
+   * Fetch a URL through the host scheduler, retrying failures.
+   * @param {string} url - URL to fetch
+   * @param {number} retries - Attempts made so far
+   * @param {Object} options
+   * @param {string} options.accept - Accept header
+   * @param {string} options.responseType - axios responseType
+   * @param {boolean} options.withHeaders - Resolve to { data, contentType, notModified, snapshotId }
+   * @param {boolean} options.cache - Store the response in the raw response cache
+   * @param {boolean} options.conditional - Send cached ETag/Last-Modified; a 304
+   *   resolves to { notModified: true } (requires withHeaders)
+   */
+  async fetchUrl(url, retries = 0, options = {}) {
+    const validators = options.conditional ? await this.responseCache.getValidators(url) : {};
+    const conditional = Object.keys(validators).length > 0;
+
+    await this.scheduler.acquire(url);
+
+    let response;
+    let fetchError;
+
     try {
       logger.info(`Fetching: ${url}`);
       
-      const response = await axios.get(url, {  
+      response = await axios.get(url, {  
         timeout: this.config.timeout,
+        responseType: options.responseType,
         headers: {
           'User-Agent': this.config.userAgent,
-          'Accept': 'text/html,application/xhtml+xml',
-          'Accept-Language': 'en-US,en;q=0.9'
-        }
+          'Accept': options.accept || 'text/html,application/xhtml+xml',
+          'Accept-Language': 'en-US,en;q=0.9',
+          ...validators
+        },
+        validateStatus: status => (status >= 200 && status < 300) || (conditional && status === 304)
       });
-      
-      return response.data;
     } catch (error) {
-      if (retries < this.config.maxRetries) {
-        logger.warn(`Retry ${retries + 1}/${this.config.maxRetries} for ${url}`);
+      fetchError = error;
+    }
+
+    // Release before any retry so the host slot is free again
+    const status = response?.status || fetchError?.response?.status;
+    this.scheduler.release(url, {
+      status,
+      retryAfter: fetchError?.response?.headers?.['retry-after']
+    });
+
+    if (!fetchError) {
+      const contentType = response.headers['content-type'] || '';
+
+      if (response.status === 304) {
+        logger.info(`Not modified since last fetch: ${url}`);
+        await this.responseCache.markValidated(url);
+        return { data: null, contentType, notModified: true, snapshotId: null };
+      }
+
+      let snapshotId = null;
+      if (options.cache) {
+        try {
+          const entry = await this.responseCache.put(url, {
+            headers: response.headers,
+            body: Buffer.from(response.data)
+          });
+          snapshotId = entry?.snapshots[0]?.id || null;
+        } catch (error) {
+          logger.warn(`Failed to cache response for ${url}: ${error.message}`);
+        }
+      }
+
+      return options.withHeaders
+        ? { data: response.data, contentType, notModified: false, snapshotId }
+        : response.data;
+    }
+
+    if (retries < this.config.maxRetries) {
+      logger.warn(`Retry ${retries + 1}/${this.config.maxRetries} for ${url}`);
+
+      // 429/503 back-off is applied by the scheduler on the next acquire
+      if (status !== 429 && status !== 503) {
         await new Promise(resolve => setTimeout(resolve, 2000 * (retries + 1)));
-        return this.fetchUrl(url, retries + 1);
       }
-      
-      throw new Error(`Failed to fetch ${url}: ${error.message}`);
+      return this.fetchUrl(url, retries + 1, options);
+    }
+    
+    throw new Error(`Failed to fetch ${url}: ${fetchError.message}`);
+  }
+
+  /**
+   * Decode a response body using the charset from its Content-Type, or
+   * failing that from a <meta charset> near the top of the document
+   */
+  decodeBody(body, contentType = '') {
+    const charset = (
+      contentType.match(/charset=["']?([\w-]+)/i)?.[1] ||
+      body.subarray(0, 2048).toString('latin1').match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1]
+    );
+
+    try {
+      return new TextDecoder(charset || 'utf-8').decode(body);
+    } catch {
+      return body.toString('utf8');
     }
   }
 
-  parseArticle(html, url) {
+  /**
+   * Parse article HTML. Each field comes from the first source that has it:
+   * publisher profile selectors, then embedded metadata (JSON-LD, microdata,
+   * OpenGraph, Twitter cards), then the generic heuristics. fieldSources
+   * records which one supplied each field.
+   * @param {string} html - Page HTML
+   * @param {string} url - Page URL
+   * @param {Object|null} profile - Extraction profile, defaults to the one matching the URL
+   */
+  parseArticle(html, url, profile = this.profiles.findProfile(url)) {
     const $ = load(html);
+    const scrapedAt = new Date();
+
+    // JSON-LD lives in script tags, so harvest metadata before stripping them
+    const metadata = extractStructuredData($);
+    const markupFlags = detectPaywallMarkup($, metadata);
     
     // Remove unwanted elements
     $('script, style, nav, footer, aside, .advertisement').remove();
+    if (profile?.remove) {
+      $(toSelectorList(profile.remove).join(', ')).remove();
+    }
+
+    const fieldSources = {};
+    const pick = (field, profileSelectors, fallback = () => null) => {
+      const fromProfile = this.selectFromProfile($, profileSelectors);
+      if (fromProfile) {
+        fieldSources[field] = 'profile';
+        return fromProfile;
+      }
+
+      for (const source of METADATA_SOURCES) {
+        const value = metadata[source][field];
+        if (Array.isArray(value) ? value.length > 0 : value) {
+          fieldSources[field] = source;
+          return value;
+        }
+      }
+
+      const value = fallback();
+      if (Array.isArray(value) ? value.length > 0 : value) fieldSources[field] = 'heuristic';
+      return value;
+    };
+
+    const { blocks, text, source: contentSource, container } = this.extractContent($, profile?.content);
+    if (contentSource) fieldSources.content = contentSource;
+
+    const date = this.extractPublishDate($, url, { profile, metadata, content: text, reference: scrapedAt });
+    if (date.source) fieldSources.publishDate = date.source;
     
     const article = {
       url: url,
-      title: this.extractTitle($),
-      author: this.extractAuthor($),
-      publishDate: this.extractDate($),
-      content: this.extractContent($),
-      excerpt: this.extractExcerpt($),
-      imageUrl: this.extractImage($, url),
-      tags: this.extractTags($),
-      scrapedAt: new Date().toISOString()
+      canonicalUrl: this.extractCanonicalUrl($, url),
+      title: pick('title', profile?.title, () => this.extractTitle($)),
+      author: cleanAuthor(pick('author', profile?.author, () => this.extractAuthor($))),
+      publishDate: date.value,
+      publishDateRaw: date.raw,
+      publishDateConfidence: date.confidence,
+      modifiedDate: parseDate(pick('modifiedDate'), { reference: scrapedAt })?.iso || null,
+      publisher: pick('publisher'),
+      section: pick('section'),
+      content: text,
+      contentBlocks: blocks,
+      tables: tablesFromBlocks(blocks),
+      excerpt: pick('excerpt', null, () => this.extractExcerpt($)),
+      imageUrl: absoluteUrl(pick('imageUrl', null, () => this.extractImage($)), url),
+      tags: pick('tags', null, () => this.extractTags($)),
+      documentType: 'html',
+      extractionProfile: profile?.name || null,
+      fieldSources,
+      quality: this.assessQuality({ text, blocks, linkDensity: linkDensity($, container), markupFlags }),
+      scrapedAt: scrapedAt.toISOString()
+    };
+
+    article.contentHash = contentHash(article.content);
+
+    return article;
+  }
+
+  /**
+   * Build an article from a PDF. Text is kept per page in `pages`, and each
+   * content block records the page it came from.
+   * @param {Buffer} data - PDF file contents
+   * @param {string|null} url - Where the PDF came from (null for uploads)
+   * @param {Object} options
+   * @param {string} options.fileName - Original file name, for uploads
+   */
+  async parsePdf(data, url, { fileName = null } = {}) {
+    const scrapedAt = new Date();
+    const { info, pageCount, pages } = await this.pdfExtractor.extract(data);
+
+    const contentBlocks = pages.flatMap(({ page, paragraphs }) =>
+      paragraphs.map(text => ({ type: 'paragraph', text, page }))
+    );
+    const content = pages
+      .map(({ paragraphs }) => paragraphs.join('\n\n'))
+      .filter(Boolean)
+      .join('\n\n');
+
+    const fieldSources = {};
+    const from = (field, value, source) => {
+      if (value) fieldSources[field] = source;
+      return value || null;
+    };
+
+    // Untitled PDFs fall back to the first line of text, then the file name
+    const firstLine = contentBlocks[0]?.text.slice(0, 200) || null;
+    const title = from('title', info.title, 'pdf') || from('title', firstLine, 'heuristic') || from('title', fileName, 'upload');
+
+    const article = {
+      url: url,
+      canonicalUrl: url ? normaliseUrl(url) : null,
+      title,
+      author: cleanAuthor(from('author', info.author, 'pdf')),
+      publishDate: from('publishDate', info.creationDate, 'pdf'),
+      publishDateRaw: info.creationDateRaw,
+      // Creation date is usually, but not always, the publication date
+      publishDateConfidence: info.creationDate ? 'medium' : null,
+      modifiedDate: info.modDate,
+      publisher: null,
+      section: null,
+      content,
+      contentBlocks,
+      tables: [],
+      pages: pages.map(({ page, paragraphs }) => ({ page, text: paragraphs.join('\n\n') })),
+      pageCount,
+      excerpt: from('excerpt', info.subject, 'pdf'),
+      imageUrl: null,
+      tags: info.keywords ? info.keywords.split(/[,;]/).map(tag => tag.trim()).filter(Boolean) : [],
+      documentType: 'pdf',
+      fileName,
+      pdfMetadata: {
+        creator: info.creator,
+        producer: info.producer
+      },
+      extractionProfile: null,
+      fieldSources,
+      quality: this.assessQuality({ text: content, blocks: contentBlocks }),
+      scrapedAt: scrapedAt.toISOString()
     };
 
+    article.contentHash = contentHash(article.content);
+
+    if (!content) {
+      logger.warn(`No text extracted from PDF ${url || fileName} (scanned document?)`);
+    }
+
     return article;
   }
 
+  /**
+   * First non-empty value for a list of profile selectors.
+   * "selector@attr" reads an attribute rather than the text.
+   */
+  selectFromProfile($, selectors) {
+    if (!selectors) return null;
+
+    for (const spec of toSelectorList(selectors)) {
+      const at = spec.lastIndexOf('@');
+      const selector = at > 0 ? spec.slice(0, at) : spec;
+      const attr = at > 0 ? spec.slice(at + 1) : null;
+
+      try {
+        const elem = $(selector).first();
+        if (!elem.length) continue;
+
+        const value = (attr ? elem.attr(attr) : elem.text())?.trim();
+        if (value) return value;
+      } catch (error) {
+        logger.warn(`Invalid profile selector "${spec}": ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  extractCanonicalUrl($, url) {
+    const pageUrl = normaliseUrl(url);
+    const declared = (
+      $('link[rel="canonical"]').attr('href') ||
+      $('meta[property="og:url"]').attr('content')
+    );
+
+    if (!declared) return pageUrl;
+
+    try {
+      const canonical = new URL(declared.trim(), url);
+      if (!canonical.protocol.startsWith('http')) return pageUrl;
+
+      // Some sites point every page's canonical at the homepage; ignore that
+      if (canonical.pathname === '/' && new URL(url).pathname !== '/') return pageUrl;
+
+      return normaliseUrl(canonical.href);
+    } catch {
+      return pageUrl;
+    }
+  }
+
   extractTitle($) {
     return (
-      $('meta[property="og:title"]').attr('content') ||
       $('h1').first().text().trim() ||
       $('title').text().trim() ||
       null
@@ -108,16 +416,83 @@ class ArticleScraper {
     );
   }
 
+  /**
+   * Publish date normalised to ISO-8601 UTC. Candidates are tried in order
+   * (profile, meta tags, JSON-LD, microdata, page elements, URL path, body
+   * text) and the first one that parses wins.
+   * @returns {Object} { value, raw, source, confidence }
+   */
+  extractPublishDate($, url, { profile, metadata, content, reference }) {
+    const candidates = [
+      ['profile', () => this.selectFromProfile($, profile?.date)],
+      ['opengraph', () => metadata.opengraph.publishDate],
+      ['meta', () => this.extractMetaDate($)],
+      ['jsonld', () => metadata.jsonld.publishDate],
+      ['microdata', () => metadata.microdata.publishDate],
+      ['heuristic', () => this.extractDate($)]
+    ];
+
+    let firstRaw = null;
+
+    for (const [source, read] of candidates) {
+      const raw = read();
+      if (!raw) continue;
+      firstRaw = firstRaw || raw;
+
+      const parsed = parseDate(raw, { reference });
+      if (parsed) {
+        return { value: parsed.iso, raw, source, confidence: dateConfidence(parsed, source) };
+      }
+    }
+
+    for (const [source, parsed] of [['url', parseDateFromUrl(url)], ['text', findDateInText(content, { reference })]]) {
+      if (parsed) {
+        return { value: parsed.iso, raw: parsed.raw, source, confidence: dateConfidence(parsed, source) };
+      }
+    }
+
+    // Keep an unparseable date string so it can still be inspected
+    return { value: null, raw: firstRaw, source: null, confidence: null };
+  }
+
+  extractMetaDate($) {
+    const selectors = [
+      'meta[name="article:published_time"]',
+      'meta[name="pubdate"]',
+      'meta[name="publishdate"]',
+      'meta[name="publish-date"]',
+      'meta[name="date"]',
+      'meta[name="dc.date.issued"]',
+      'meta[name="DC.date.issued"]',
+      'meta[name="dc.date"]',
+      'meta[name="DC.date"]',
+      'meta[name="citation_publication_date"]',
+      'meta[name="parsely-pub-date"]',
+      'meta[name="sailthru.date"]'
+    ];
+
+    for (const selector of selectors) {
+      const value = $(selector).attr('content')?.trim();
+      if (value) return value;
+    }
+
+    return null;
+  }
+
   extractDate($) {
     return (
-      $('meta[property="article:published_time"]').attr('content') ||
       $('time').attr('datetime') ||
       $('.publish-date, .date').first().text().trim() ||
       null
     );
   }
 
-  extractContent($) {
+  /**
+   * Find the article body (profile selectors first, then the generic
+   * containers) and break it into structured blocks. `text` is the
+   * plain-text rendering with blank lines between blocks.
+   */
+  extractContent($, profileSelectors) {
     const selectors = [
       'article',
       '.article-content',
@@ -127,40 +502,62 @@ class ArticleScraper {
       '[itemprop="articleBody"]'
     ];
 
-    for (const selector of selectors) {
-      const content = $(selector).first();
-      if (content.length) {
-        return content.text().trim();
+    let container = null;
+    let source = null;
+
+    for (const selector of toSelectorList(profileSelectors || [])) {
+      try {
+        const elem = $(selector).first();
+        if (elem.length && elem.text().trim()) {
+          container = elem;
+          source = 'profile';
+          break;
+        }
+      } catch (error) {
+        logger.warn(`Invalid profile selector "${selector}": ${error.message}`);
       }
     }
 
-    return $('body').text().trim();
+    if (!container) {
+      container = selectors.map(selector => $(selector).first()).find(elem => elem.length) || $('body');
+      source = 'heuristic';
+    }
+
+    const blocks = extractBlocks($, container);
+    const text = renderPlainText(blocks) || container.text().trim();
+
+    return { blocks, text, source: text ? source : null, container };
+  }
+
+  /**
+   * Score extracted content and classify it against the configured
+   * thresholds: 'ok', 'flagged' (saved, but marked) or 'rejected'
+   * @param {Object} signals - See scoreExtraction in utils/quality.js
+   * @returns {Object} { score, status, flags, metrics }
+   */
+  assessQuality(signals) {
+    const { score, flags, metrics } = scoreExtraction(signals);
+
+    let status = 'ok';
+    if (score < this.config.qualityRejectBelow) {
+      status = 'rejected';
+    } else if (score < this.config.qualityFlagBelow) {
+      status = 'flagged';
+    }
+
+    return { score, status, flags, metrics };
   }
 
   extractExcerpt($) {
-    return (
-      $('meta[name="description"]').attr('content') ||
-      $('meta[property="og:description"]').attr('content') ||
-      null
-    );
+    return $('meta[name="description"]').attr('content') || null;
   }
 
-  extractImage($, baseUrl) {
-    const imageUrl = (
-      $('meta[property="og:image"]').attr('content') ||
+  extractImage($) {
+    return (
       $('article img').first().attr('src') ||
-      $('.featured-image img').first().attr('src')
+      $('.featured-image img').first().attr('src') ||
+      null
     );
-
-    if (imageUrl && !imageUrl.startsWith('http')) {
-      try {
-        return new URL(imageUrl, baseUrl).href;
-      } catch {
-        return null;
-      }
-    }
-
-    return imageUrl || null;
   }
 
   extractTags($) {
@@ -174,13 +571,201 @@ class ArticleScraper {
     return tags;
   }
 
-  async scrapeArticle(url) {
+  /**
+   * Link to the next page of a multi-page article: the profile's nextPage
+   * rule first, then rel=next, pager and numbered page links
+   */
+  findNextPage($, url, profile, { firstUrl, expectedPage }) {
+    if (profile?.nextPage) {
+      const selectors = toSelectorList(profile.nextPage).map(spec => (spec.includes('@') ? spec : `${spec}@href`));
+      const next = absoluteUrl(this.selectFromProfile($, selectors), url);
+      if (next && next !== url) return next;
+    }
+
+    return findNextPageUrl($, url, { firstUrl, expectedPage });
+  }
+
+  /**
+   * Follow an HTML article's pagination and append the content of later
+   * pages. Stops at the page limit, a page already seen, a robots block or
+   * a failed fetch. Sets pagesStitched and pageUrls on the article.
+   * @param {Object} article - First page, from parseArticle
+   * @param {string} html - First page HTML
+   * @param {Object} options
+   * @param {boolean} options.cachedOnly - Read later pages from the response
+   *   cache instead of fetching them (for re-parsing snapshots)
+   */
+  async stitchPages(article, html, { cachedOnly = false } = {}) {
+    const profile = this.profiles.findProfile(article.url);
+    const maxPages = profile?.maxPages || this.config.maxArticlePages;
+    const firstPage = pageNumber(article.url, true) || 1;
+    const pages = [{ url: article.url, blocks: article.contentBlocks }];
+    const seen = new Set([normaliseUrl(article.url)]);
+
+    let $ = load(html);
+    let pageUrl = article.url;
+
+    while (pages.length < maxPages) {
+      const nextUrl = this.findNextPage($, pageUrl, profile, {
+        firstUrl: article.url,
+        expectedPage: firstPage + pages.length
+      });
+      if (!nextUrl || seen.has(normaliseUrl(nextUrl))) break;
+      seen.add(normaliseUrl(nextUrl));
+
+      const pageHtml = await this.loadNextPage(nextUrl, cachedOnly);
+      if (!pageHtml) break;
+
+      pages.push({ url: nextUrl, blocks: this.parseArticle(pageHtml, nextUrl, profile).contentBlocks });
+      $ = load(pageHtml);
+      pageUrl = nextUrl;
+    }
+
+    article.pagesStitched = pages.length;
+    article.pageUrls = pages.map(page => page.url);
+    if (pages.length === 1) return article;
+
+    // Later pages tend to repeat the headline, standfirst and pager
+    const seenBlocks = new Set();
+    article.contentBlocks = pages.flatMap(({ blocks }, i) => blocks
+      .filter(block => {
+        const key = JSON.stringify(block);
+        if (seenBlocks.has(key)) return false;
+        seenBlocks.add(key);
+        return true;
+      })
+      .map(block => ({ ...block, page: i + 1 }))
+    );
+    article.content = renderPlainText(article.contentBlocks);
+    article.tables = tablesFromBlocks(article.contentBlocks);
+    article.contentHash = contentHash(article.content);
+    // Markup flags and link density are only known for the first page
+    article.quality = this.assessQuality({
+      text: article.content,
+      blocks: article.contentBlocks,
+      linkDensity: article.quality.metrics.linkDensity,
+      markupFlags: article.quality.flags.filter(flag => flag === 'paywall')
+    });
+
+    logger.info(`Stitched ${pages.length} pages of ${article.url}`);
+    return article;
+  }
+
+  async loadNextPage(url, cachedOnly) {
+    try {
+      if (cachedOnly) {
+        const stored = await this.responseCache.getSnapshot(url);
+        return stored ? this.decodeBody(stored.body, stored.snapshot.contentType || '') : null;
+      }
+
+      const permission = await this.checkRobotsPermission(url);
+      if (!permission.allowed) {
+        logger.warn(`Not stitching ${url}: blocked by robots.txt`);
+        return null;
+      }
+
+      const response = await this.fetchUrl(url, 0, { responseType: 'arraybuffer', withHeaders: true, cache: true });
+      const body = Buffer.from(response.data);
+      if (PdfExtractor.isPdf(body, response.contentType)) return null;
+
+      return this.decodeBody(body, response.contentType);
+    } catch (error) {
+      logger.warn(`Failed to fetch next page ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Parse a fetched (or cached) body as a PDF or HTML article
+   */
+  async parseResponse(body, contentType, url) {
+    return PdfExtractor.isPdf(body, contentType)
+      ? this.parsePdf(body, url)
+      : this.parseArticle(this.decodeBody(body, contentType), url);
+  }
+
+  /**
+   * Fetch and parse one URL
+   * @param {string} url - Page URL
+   * @param {Object} options
+   * @param {boolean} options.links - Also return the page's links (HTML only,
+   *   including for pages rejected on quality)
+   * @returns {Object} { success, article, notModified, links } or
+   *   { success: false, error, blockedByPolicy | blockedByRobots | rejected, url }
+   */
+  async scrapeArticle(url, { links = false } = {}) {
     try {
-      const html = await this.fetchUrl(url);
-      const article = this.parseArticle(html, url);
+      const decision = await this.policy.check(url);
+
+      if (!decision.allowed) {
+        return {
+          success: false,
+          blockedByPolicy: true,
+          error: `Blocked by publisher policy (${decision.reason})`,
+          reason: decision.reason,
+          publisher: decision.publisher,
+          url
+        };
+      }
+
+      const permission = await this.checkRobotsPermission(url);
+
+      if (!permission.allowed) {
+        logger.warn(`Blocked by robots.txt: ${url}${permission.rule ? ` (${permission.rule})` : ''}`);
+        return {
+          success: false,
+          blockedByRobots: true,
+          error: 'Blocked by robots.txt',
+          rule: permission.rule,
+          url
+        };
+      }
+
+      this.scheduler.setCrawlDelay(url, permission.crawlDelay);
+
+      // Only revalidate when the article is stored, so a 304 has something to return
+      const stored = this.articleLookup ? await this.articleLookup(url) : null;
+
+      const response = await this.fetchUrl(url, 0, {
+        accept: 'text/html,application/xhtml+xml,application/pdf',
+        responseType: 'arraybuffer',
+        withHeaders: true,
+        cache: true,
+        conditional: Boolean(stored)
+      });
+
+      // Unchanged upstream: skip re-parsing and hand back the stored article
+      if (response.notModified) {
+        return { success: true, notModified: true, article: stored };
+      }
+
+      const body = Buffer.from(response.data);
+      const article = await this.parseResponse(body, response.contentType, url);
+      article.sourceType = 'scrape';
+      article.snapshotId = response.snapshotId;
+      article.rights = decision.rights;
+
+      const html = article.documentType === 'html' ? this.decodeBody(body, response.contentType) : null;
+      if (html) await this.stitchPages(article, html);
+
+      const pageLinks = links && html ? extractLinks(html, url) : undefined;
+
+      // The raw response stays in the cache, so a rejected page can still be reparsed later
+      if (article.quality.status === 'rejected') {
+        const { score, flags } = article.quality;
+        logger.warn(`Rejected low-quality page ${url}: score ${score}${flags.length ? ` (${flags.join(', ')})` : ''}`);
+        return {
+          success: false,
+          rejected: true,
+          error: `Extraction quality too low (score ${score}${flags.length ? `: ${flags.join(', ')}` : ''})`,
+          quality: article.quality,
+          links: pageLinks,
+          url
+        };
+      }
       
       logger.info(`Successfully scraped: ${article.title}`);  
-      return { success: true, article };
+      return { success: true, article, links: pageLinks };
     } catch (error) {
       logger.error(`Failed to scrape ${url}:`, error);
       return { 
@@ -192,21 +777,35 @@ class ArticleScraper {
   }
 
   async scrapeBatch(urls) {
-    const results = [];
-    
-    // Check robots.txt for first URL's domain
-    if (urls.length > 0) {
-      const firstUrl = new URL(urls[0]);
-      await this.checkRobotsTxt(firstUrl.origin);
-    }
+    // Hosts are interleaved and rate-limited individually by the scheduler;
+    // robots.txt is checked per URL (and cached per origin) in scrapeArticle
+    return this.scheduler.runBatch(urls, url => this.scrapeArticle(url));
+  }
+}
 
-    for (const url of urls) {
-      const result = await this.scrapeArticle(url);
-      results.push(result);
-    }
+// Like parseInt(process.env[name]) || fallback, but lets 0 through
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Bylines are often rendered as "By Jane Doe"
+function cleanAuthor(author) {
+  return author ? author.replace(/^by\s+/i, '').trim() || null : null;
+}
 
-    return results;
+function absoluteUrl(value, baseUrl) {
+  if (!value) return null;
+
+  try {
+    return new URL(value, baseUrl).href;
+  } catch {
+    return null;
   }
 }
 
+function toSelectorList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
 export default ArticleScraper;
\ No newline at end of file
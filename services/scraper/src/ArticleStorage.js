@@ -1,22 +1,48 @@
 import { promises as fs } from 'fs';
+import { EventEmitter } from 'events';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { normaliseUrl, contentHash } from './utils/canonical-url.js';
+import { summariseChanges } from './utils/text-diff.js';
 import logger from './utils/logger.js';
 
 // Create __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-class ArticleStorage {
+// Shorter content (empty scanned PDFs, header-only imports) is too generic to
+// identify an article, so it is matched on URL only
+const MIN_HASHED_CONTENT_LENGTH = 200;
+
+// What an extraction records about itself rather than about the article.
+// These are refreshed when a re-scrape or reparse leaves the article as it
+// was, so improved extractors still leave a mark without a new revision.
+const EXTRACTION_FIELDS = [
+  'contentBlocks', 'tables', 'fieldSources', 'quality', 'extractionProfile',
+  'publishDateRaw', 'publishDateConfidence', 'modifiedDate', 'publisher',
+  'section', 'tags', 'snapshotId'
+];
+
+/**
+ * Emits "article:created" and "article:changed" events so downstream
+ * services can react to new and re-scraped content.
+ */
+class ArticleStorage extends EventEmitter {
   constructor() {
+    super();
     const projectRoot = join(__dirname, '../../..');
     this.dataDir = join(projectRoot, 'data', 'articles');
+    this.revisionsDir = join(projectRoot, 'data', 'article-revisions');
+    this.index = null; // Built lazily: { byUrl: Map, byHash: Map } -> article id
+    this.indexLoading = null;
     this.ensureDataDir();
   }
 
   async ensureDataDir() {
     try {
       await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.mkdir(this.revisionsDir, { recursive: true });
     } catch (error) {
       logger.error('Failed to create data directory:', error);
     }
@@ -26,10 +52,15 @@ class ArticleStorage {
     return join(this.dataDir, `article-${id}.json`);
   }
 
+  getRevisionPath(id, revision) {
+    return join(this.revisionsDir, id, `revision-${revision}.json`);
+  }
+
   async saveArticle(article) {
     try {
       const filePath = this.getArticlePath(article.id);
       await fs.writeFile(filePath, JSON.stringify(article, null, 2), 'utf8');
+      if (this.index) this.indexArticle(article);
       logger.info(`Saved article: ${article.id}`);
       return article;
     } catch (error) {
@@ -52,7 +83,14 @@ class ArticleStorage {
     }
   }
 
-  async getAllArticles(limit = 50, offset = 0) {
+  /**
+   * Newest first. With a filter every article has to be read, so the
+   * predicate is applied before paginating.
+   * @param {number} limit
+   * @param {number} offset
+   * @param {Function|null} filter - (article) => boolean
+   */
+  async getAllArticles(limit = 50, offset = 0, filter = null) {
     try {
       const files = await fs.readdir(this.dataDir);
       const articleFiles = files.filter(f => f.startsWith('article-') && f.endsWith('.json'));
@@ -68,21 +106,26 @@ class ArticleStorage {
 
       filesWithStats.sort((a, b) => b.mtime - a.mtime);
 
-      // Apply pagination
-      const paginatedFiles = filesWithStats
-        .slice(offset, offset + limit)
-        .map(item => item.file);
-
-      // Read articles
-      const articles = await Promise.all(
-        paginatedFiles.map(async (file) => {
+      const readArticles = files => Promise.all(
+        files.map(async (file) => {
           const filePath = join(this.dataDir, file);
           const data = await fs.readFile(filePath, 'utf8');
           return JSON.parse(data);
         })
       );
 
-      return articles;
+      if (filter) {
+        const articles = await readArticles(filesWithStats.map(item => item.file));
+        return articles.filter(filter).slice(offset, offset + limit);
+      }
+
+      // Apply pagination
+      const paginatedFiles = filesWithStats
+        .slice(offset, offset + limit)
+        .map(item => item.file);
+
+      // Read articles
+      return readArticles(paginatedFiles);
     } catch (error) {
       logger.error('Failed to get all articles:', error);
       throw error;
@@ -93,6 +136,8 @@ class ArticleStorage {
     try {
       const filePath = this.getArticlePath(id);
       await fs.unlink(filePath);
+      await fs.rm(join(this.revisionsDir, id), { recursive: true, force: true });
+      if (this.index) this.unindexArticle(id);
       logger.info(`Deleted article: ${id}`);
     } catch (error) {
       if (error.code !== 'ENOENT') {
@@ -102,6 +147,217 @@ class ArticleStorage {
     }
   }
 
+  /**
+   * Dedup keys for an article. Articles saved before canonicalisation
+   * existed fall back to their normalised URL and a hash of their content.
+   * hash is null when the content is too short to dedupe on.
+   */
+  getArticleKeys(article) {
+    let url = article.canonicalUrl || null;
+    if (!url && article.url) {
+      try {
+        url = normaliseUrl(article.url);
+      } catch {
+        url = null;
+      }
+    }
+
+    const text = String(article.content || '').replace(/\s+/g, ' ').trim();
+    const hash = text.length >= MIN_HASHED_CONTENT_LENGTH
+      ? article.contentHash || contentHash(text)
+      : null;
+    return { url, hash };
+  }
+
+  indexArticle(article, index = this.index) {
+    const { url, hash } = this.getArticleKeys(article);
+    if (url) index.byUrl.set(url, article.id);
+    if (hash) index.byHash.set(hash, article.id);
+
+    // Also index the requested URL when it differs from the canonical one
+    if (article.url) {
+      try {
+        index.byUrl.set(normaliseUrl(article.url), article.id);
+      } catch {
+        // Unparseable URL, nothing to index
+      }
+    }
+  }
+
+  unindexArticle(id) {
+    for (const map of [this.index.byUrl, this.index.byHash]) {
+      for (const [key, value] of map.entries()) {
+        if (value === id) map.delete(key);
+      }
+    }
+  }
+
+  async loadIndex() {
+    if (this.index) return this.index;
+
+    // Share one scan between concurrent callers
+    if (!this.indexLoading) {
+      this.indexLoading = this.buildIndex().finally(() => {
+        this.indexLoading = null;
+      });
+    }
+    return this.indexLoading;
+  }
+
+  async buildIndex() {
+    const index = { byUrl: new Map(), byHash: new Map() };
+    const files = await fs.readdir(this.dataDir);
+
+    for (const file of files.filter(f => f.startsWith('article-') && f.endsWith('.json'))) {
+      try {
+        const data = await fs.readFile(join(this.dataDir, file), 'utf8');
+        this.indexArticle(JSON.parse(data), index);
+      } catch (error) {
+        logger.warn(`Skipping unreadable article file ${file}: ${error.message}`);
+      }
+    }
+
+    this.index = index;
+    logger.info(`Indexed ${index.byUrl.size} article URLs for duplicate detection`);
+    return index;
+  }
+
+  /**
+   * Find a stored article matching by canonical URL, then by content hash
+   */
+  async findExistingArticle(article) {
+    const index = await this.loadIndex();
+    const { hash } = this.getArticleKeys(article);
+    const urls = [article.canonicalUrl, article.url].filter(Boolean);
+
+    for (const url of urls) {
+      let key;
+      try {
+        key = normaliseUrl(url);
+      } catch {
+        continue;
+      }
+      if (index.byUrl.has(key)) {
+        return this.getArticle(index.byUrl.get(key));
+      }
+    }
+
+    if (hash && index.byHash.has(hash)) {
+      return this.getArticle(index.byHash.get(hash));
+    }
+
+    return null;
+  }
+
+  /**
+   * Save a freshly scraped article, reusing an existing record for the same page.
+   * When the content or a tracked metadata field (title, author, publish
+   * date, ...) has changed, the previous version is kept as a revision.
+   * @param {Object} article - Scraped article without an id
+   * @returns {Object} { article, status } where status is new, unchanged or updated
+   */
+  async saveOrUpdateArticle(article) {
+    const existing = await this.findExistingArticle(article);
+
+    if (!existing) {
+      const saved = await this.saveArticle({ id: uuidv4(), revision: 1, ...article });
+      this.emit('article:created', { articleId: saved.id, article: saved });
+      return { article: saved, status: 'new' };
+    }
+
+    const changes = summariseChanges(existing, article);
+    const sameContent = contentHash(article.content) === contentHash(existing.content);
+
+    if (sameContent && changes.changedFields.length === 0) {
+      const refreshed = { ...existing };
+      for (const field of EXTRACTION_FIELDS) {
+        if (field in article) refreshed[field] = article[field];
+      }
+
+      logger.info(`Article unchanged: ${existing.id}`);
+      if (JSON.stringify(refreshed) === JSON.stringify(existing)) {
+        return { article: existing, status: 'unchanged' };
+      }
+      return { article: await this.saveArticle(refreshed), status: 'unchanged' };
+    }
+
+    const previousRevision = existing.revision || 1;
+    await this.saveRevision({ ...existing, revision: previousRevision });
+
+    const updated = await this.saveArticle({
+      ...existing,
+      ...article,
+      id: existing.id,
+      revision: previousRevision + 1,
+      firstScrapedAt: existing.firstScrapedAt || existing.scrapedAt,
+      updatedAt: new Date().toISOString(),
+      lastChange: changes
+    });
+
+    logger.info(`Article updated: ${existing.id} (revision ${updated.revision}, changed: ${changes.changedFields.join(', ') || 'none'})`);
+    this.emit('article:changed', {
+      articleId: updated.id,
+      revision: updated.revision,
+      previousRevision,
+      changes,
+      article: updated
+    });
+
+    return { article: updated, status: 'updated' };
+  }
+
+  async saveRevision(snapshot) {
+    try {
+      await fs.mkdir(join(this.revisionsDir, snapshot.id), { recursive: true });
+      await fs.writeFile(
+        this.getRevisionPath(snapshot.id, snapshot.revision),
+        JSON.stringify(snapshot, null, 2),
+        'utf8'
+      );
+      return snapshot;
+    } catch (error) {
+      logger.error('Failed to save article revision:', error);
+      throw error;
+    }
+  }
+
+  async getRevision(id, revision) {
+    try {
+      const data = await fs.readFile(this.getRevisionPath(id, revision), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.error('Failed to read article revision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * All stored revisions of an article, oldest first (the current version
+   * lives in the article file itself and is not included)
+   */
+  async getRevisions(id) {
+    let files;
+    try {
+      files = await fs.readdir(join(this.revisionsDir, id));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const revisions = await Promise.all(
+      files
+        .filter(f => f.startsWith('revision-') && f.endsWith('.json'))
+        .map(async (file) => JSON.parse(await fs.readFile(join(this.revisionsDir, id, file), 'utf8')))
+    );
+
+    return revisions.sort((a, b) => a.revision - b.revision);
+  }
+
   async articleExists(id) {
     try {
       await fs.access(this.getArticlePath(id));
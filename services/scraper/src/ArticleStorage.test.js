@@ -0,0 +1,72 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ArticleStorage from './ArticleStorage.js';
+
+const content = 'Lynas Rare Earths reported record output of neodymium and praseodymium at Mount Weld. '.repeat(5);
+
+const scraped = (fields = {}) => ({
+  url: 'https://news.example/lynas-output',
+  canonicalUrl: 'https://news.example/lynas-output',
+  title: 'Lynas reports record output',
+  author: null,
+  publishDate: null,
+  content,
+  fieldSources: { title: 'heuristic' },
+  quality: { score: 60, status: 'ok', flags: [] },
+  snapshotId: 'snapshot-1',
+  scrapedAt: '2025-12-01T00:00:00.000Z',
+  ...fields
+});
+
+describe('ArticleStorage.saveOrUpdateArticle', () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'articles-'));
+    storage = new ArticleStorage();
+    storage.dataDir = join(dir, 'articles');
+    storage.revisionsDir = join(dir, 'revisions');
+    await storage.ensureDataDir();
+  });
+
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  test('a reparse that only improves metadata updates the article', async () => {
+    const { article: first } = await storage.saveOrUpdateArticle(scraped());
+
+    const { article, status } = await storage.saveOrUpdateArticle(scraped({
+      author: 'Jane Doe',
+      publishDate: '2025-11-30T00:00:00.000Z',
+      fieldSources: { title: 'jsonld', author: 'jsonld', publishDate: 'jsonld' },
+      snapshotId: 'snapshot-2'
+    }));
+
+    expect(status).toBe('updated');
+    expect(article).toMatchObject({ id: first.id, revision: 2, author: 'Jane Doe', snapshotId: 'snapshot-2' });
+    expect(article.lastChange.changedFields).toEqual(['author', 'publishDate']);
+    expect(await storage.getArticle(first.id)).toMatchObject({ author: 'Jane Doe' });
+  });
+
+  test('keeps new extraction details when nothing tracked changed', async () => {
+    const { article: first } = await storage.saveOrUpdateArticle(scraped());
+
+    const { article, status } = await storage.saveOrUpdateArticle(scraped({
+      fieldSources: { title: 'profile' },
+      quality: { score: 90, status: 'ok', flags: [] },
+      snapshotId: 'snapshot-2',
+      scrapedAt: '2025-12-02T00:00:00.000Z'
+    }));
+
+    expect(status).toBe('unchanged');
+    expect(await storage.getArticle(first.id)).toMatchObject({
+      revision: 1,
+      fieldSources: { title: 'profile' },
+      quality: { score: 90 },
+      snapshotId: 'snapshot-2',
+      scrapedAt: '2025-12-01T00:00:00.000Z'
+    });
+    expect(article.snapshotId).toBe('snapshot-2');
+  });
+});
@@ -0,0 +1,66 @@
+import axios from 'axios';
+import logger from './utils/logger.js';
+
+/**
+ * Forwards "article:changed" events from ArticleStorage to webhooks.
+ *
+ * ARTICLE_CHANGE_WEBHOOKS is a comma-separated list of URLs; "{id}" in a URL
+ * is replaced with the article id, so the labeller can be triggered directly
+ * with e.g. http://localhost:3002/api/label/{id}
+ */
+class ChangeNotifier {
+  constructor(storage, config = {}) {
+    this.storage = storage;
+    this.config = {
+      webhooks: (process.env.ARTICLE_CHANGE_WEBHOOKS || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean),
+      timeout: 10000,
+      ...config
+    };
+    this.recentChanges = []; // Most recent change events, newest first
+  }
+
+  start() {
+    this.storage.on('article:changed', event => {
+      this.notify(event).catch(error => logger.error('Change notification failed:', error));
+    });
+
+    if (this.config.webhooks.length > 0) {
+      logger.info(`Article change notifications go to ${this.config.webhooks.length} webhook(s)`);
+    }
+  }
+
+  async notify({ articleId, revision, previousRevision, changes, article }) {
+    const payload = {
+      event: 'article.changed',
+      articleId,
+      url: article.url,
+      title: article.title,
+      revision,
+      previousRevision,
+      changes,
+      changedAt: article.updatedAt
+    };
+
+    this.recentChanges.unshift(payload);
+    this.recentChanges.length = Math.min(this.recentChanges.length, 100);
+
+    await Promise.all(this.config.webhooks.map(async (webhook) => {
+      const target = webhook.replace('{id}', encodeURIComponent(articleId));
+      try {
+        await axios.post(target, payload, { timeout: this.config.timeout });
+        logger.info(`Notified ${target} of change to article ${articleId}`);
+      } catch (error) {
+        logger.warn(`Failed to notify ${target} of change to article ${articleId}: ${error.message}`);
+      }
+    }));
+  }
+
+  getRecentChanges(limit = 50) {
+    return this.recentChanges.slice(0, limit);
+  }
+}
+
+export default ChangeNotifier;
@@ -0,0 +1,136 @@
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from './utils/logger.js';
+
+// Create __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PROFILE_FIELDS = ['title', 'author', 'date', 'content'];
+
+/**
+ * Per-publisher extraction profiles, loaded from JSON files in a config
+ * directory (services/scraper/profiles by default, or EXTRACTION_PROFILES_DIR).
+ *
+ * A profile looks like:
+ * {
+ *   "name": "example",
+ *   "domains": ["example.com"],
+ *   "title": "h1.headline",
+ *   "author": [".byline a", "meta[name='author']@content"],
+ *   "date": "time@datetime",
+ *   "content": ".article-body",
+ *   "remove": [".share-bar", ".related"],
+ *   "nextPage": "a.pager-next",
+ *   "maxPages": 5
+ * }
+ *
+ * Field selectors may be a string or a list tried in order; "selector@attr"
+ * reads an attribute instead of the element text. "nextPage" finds the link
+ * to an article's next page (its href unless an @attr is given), and
+ * "maxPages" caps how many pages are stitched together.
+ */
+class ExtractionProfiles {
+  constructor(profilesDir = process.env.EXTRACTION_PROFILES_DIR || join(__dirname, '../profiles')) {
+    this.profilesDir = profilesDir;
+    this.profiles = [];
+    this.load();
+  }
+
+  /**
+   * Check a profile definition
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate(profile) {
+    if (!profile || typeof profile !== 'object') return 'Profile must be an object';
+    if (!profile.name) return 'Profile name is required';
+    if (!Array.isArray(profile.domains) || profile.domains.length === 0) {
+      return 'Profile domains must be a non-empty array';
+    }
+
+    for (const field of [...PROFILE_FIELDS, 'remove', 'nextPage']) {
+      const value = profile[field];
+      if (value === undefined) continue;
+
+      const selectors = Array.isArray(value) ? value : [value];
+      if (!selectors.every(selector => typeof selector === 'string' && selector.trim())) {
+        return `Profile field "${field}" must be a selector string or array of selectors`;
+      }
+    }
+
+    if (profile.maxPages !== undefined && !(Number.isInteger(profile.maxPages) && profile.maxPages >= 1)) {
+      return 'Profile maxPages must be a positive integer';
+    }
+
+    return null;
+  }
+
+  load() {
+    const profiles = [];
+
+    if (!existsSync(this.profilesDir)) {
+      logger.warn(`Extraction profiles directory not found: ${this.profilesDir}`);
+      this.profiles = profiles;
+      return profiles;
+    }
+
+    for (const file of readdirSync(this.profilesDir).filter(f => f.endsWith('.json'))) {
+      try {
+        const profile = JSON.parse(readFileSync(join(this.profilesDir, file), 'utf8'));
+        const error = this.validate(profile);
+
+        if (error) {
+          logger.warn(`Skipping extraction profile ${file}: ${error}`);
+          continue;
+        }
+
+        profiles.push({ ...profile, file });
+      } catch (error) {
+        logger.warn(`Failed to load extraction profile ${file}: ${error.message}`);
+      }
+    }
+
+    this.profiles = profiles;
+    logger.info(`Loaded ${profiles.length} extraction profiles from ${this.profilesDir}`);
+    return profiles;
+  }
+
+  getAll() {
+    return this.profiles;
+  }
+
+  getByName(name) {
+    return this.profiles.find(profile => profile.name === name) || null;
+  }
+
+  /**
+   * Find the profile for a URL. "example.com" also matches its subdomains,
+   * and the longest matching domain wins.
+   */
+  findProfile(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+
+    let best = null;
+    let bestLength = 0;
+
+    for (const profile of this.profiles) {
+      for (const domain of profile.domains) {
+        const d = domain.toLowerCase();
+        if ((hostname === d || hostname.endsWith(`.${d}`)) && d.length > bestLength) {
+          best = profile;
+          bestLength = d.length;
+        }
+      }
+    }
+
+    return best;
+  }
+}
+
+export default ExtractionProfiles;
@@ -0,0 +1,147 @@
+import FeedParser from './FeedParser.js';
+import { matchesPathPatterns } from './utils/url-patterns.js';
+import logger from './utils/logger.js';
+
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8';
+const MAX_SEEN_ENTRIES = 1000;
+
+/**
+ * Polls registered feeds and scrapes entries that have not been seen before
+ */
+class FeedIngester {
+  constructor(scraper, articleStorage, feedStorage) {
+    this.scraper = scraper;
+    this.articleStorage = articleStorage;
+    this.feedStorage = feedStorage;
+    this.parser = new FeedParser();
+  }
+
+  /**
+   * Fetch and parse a feed, honouring the publisher policy, robots.txt and host politeness
+   */
+  async fetchFeed(url) {
+    const decision = await this.scraper.policy.check(url, 'feed');
+    if (!decision.allowed) {
+      throw new Error(`Feed blocked by publisher policy (${decision.reason}${decision.publisher ? `: ${decision.publisher}` : ''})`);
+    }
+
+    const permission = await this.scraper.checkRobotsPermission(url);
+    if (!permission.allowed) {
+      throw new Error(`Feed blocked by robots.txt${permission.rule ? ` (${permission.rule})` : ''}`);
+    }
+
+    this.scraper.scheduler.setCrawlDelay(url, permission.crawlDelay);
+    const xml = await this.scraper.fetchUrl(url, 0, { accept: FEED_ACCEPT });
+    return this.parser.parse(xml, url);
+  }
+
+  /**
+   * Fill article fields the HTML extractors could not find from feed metadata
+   */
+  applyFeedMetadata(article, entry, feed) {
+    return {
+      ...article,
+      title: article.title || entry.title,
+      author: article.author || entry.author,
+      publishDate: article.publishDate || entry.publishDate,
+      excerpt: article.excerpt || entry.summary,
+      tags: article.tags?.length ? article.tags : entry.categories,
+      feedId: feed.id,
+      feedEntryId: entry.id,
+      ...(feed.sourceId && { sourceId: feed.sourceId })
+    };
+  }
+
+  /**
+   * Poll a feed and ingest new entries
+   * @param {Object} feed - Stored feed record
+   * @param {Object} options - { limit, include, exclude } maximum entries to
+   *   scrape this poll and optional path patterns entry links must match
+   * @returns {Object} Poll summary
+   */
+  async pollFeed(feed, { limit = 20, include = [], exclude = [] } = {}) {
+    logger.info(`Polling feed ${feed.id}: ${feed.url}`);
+
+    let parsed;
+    try {
+      parsed = await this.fetchFeed(feed.url);
+    } catch (error) {
+      logger.error(`Failed to poll feed ${feed.id}:`, error);
+      await this.feedStorage.saveFeed({
+        ...feed,
+        lastPolledAt: new Date().toISOString(),
+        lastError: error.message
+      });
+      throw error;
+    }
+
+    const seen = new Set(feed.seenEntries || []);
+    const newEntries = parsed.entries
+      .filter(entry => !seen.has(entry.id))
+      .filter(entry => matchesPathPatterns(entry.link, include, exclude))
+      .slice(0, limit);
+
+    const results = await this.scraper.scrapeBatch(newEntries.map(entry => entry.link));
+
+    const articles = [];
+    const errors = [];
+    const blocked = [];
+    const statusCounts = { new: 0, unchanged: 0, updated: 0 };
+
+    for (let i = 0; i < newEntries.length; i++) {
+      const entry = newEntries[i];
+      const result = results[i];
+
+      if (result.success) {
+        const { article, status } = await this.articleStorage.saveOrUpdateArticle(
+          this.applyFeedMetadata(result.article, entry, feed)
+        );
+        statusCounts[status]++;
+        // Feeds often re-list pages we already have from another route
+        if (status !== 'unchanged') {
+          articles.push(article);
+        }
+        seen.add(entry.id);
+      } else if (result.blockedByRobots) {
+        // Never going to succeed, so don't retry it on the next poll
+        blocked.push({ url: entry.link, reason: 'robots', rule: result.rule });
+        seen.add(entry.id);
+      } else if (result.blockedByPolicy) {
+        blocked.push({ url: entry.link, reason: 'policy', policy: result.reason, publisher: result.publisher });
+        seen.add(entry.id);
+      } else {
+        errors.push({ url: entry.link, error: result.error });
+        // A paywall or block page won't improve by polling again
+        if (result.rejected) seen.add(entry.id);
+      }
+    }
+
+    await this.feedStorage.saveFeed({
+      ...feed,
+      title: feed.title || parsed.title,
+      format: parsed.format,
+      lastPolledAt: new Date().toISOString(),
+      lastError: null,
+      seenEntries: Array.from(seen).slice(-MAX_SEEN_ENTRIES)
+    });
+
+    logger.info(`Feed ${feed.id}: ${statusCounts.new} new, ${statusCounts.updated} updated from ${parsed.entries.length} entries`);
+
+    return {
+      feedId: feed.id,
+      entriesFound: parsed.entries.length,
+      newEntries: newEntries.length,
+      successCount: articles.length,
+      newCount: statusCounts.new,
+      updatedCount: statusCounts.updated,
+      unchangedCount: statusCounts.unchanged,
+      failureCount: errors.length,
+      blockedCount: blocked.length,
+      articles,
+      errors,
+      blocked
+    };
+  }
+}
+
+export default FeedIngester;
@@ -0,0 +1,138 @@
+import { load } from 'cheerio';
+
+/**
+ * Parses RSS 2.0, RSS 1.0 (RDF) and Atom feeds into a common shape
+ */
+class FeedParser {
+  /**
+   * Parse a feed document
+   * @param {string} xml - Raw feed XML
+   * @param {string} feedUrl - URL the feed was fetched from, used to resolve relative links
+   * @returns {Object} { format, title, link, entries }
+   */
+  parse(xml, feedUrl) {
+    const $ = load(xml, { xml: true });
+
+    if ($('feed').length) {
+      return this.parseAtom($, feedUrl);
+    }
+
+    if ($('rss, rdf\\:RDF, RDF').length) {
+      return this.parseRss($, feedUrl);
+    }
+
+    throw new Error('Document is not an RSS or Atom feed');
+  }
+
+  parseRss($, feedUrl) {
+    const channel = $('channel').first();
+    const entries = [];
+
+    $('item').each((i, elem) => {
+      const item = $(elem);
+      const link = this.resolveUrl(
+        childText($, item, 'link') || item.attr('rdf:about'),
+        feedUrl
+      );
+      const guid = childText($, item, 'guid');
+
+      entries.push({
+        id: guid || link,
+        title: childText($, item, 'title'),
+        link,
+        publishDate: this.normaliseDate(
+          childText($, item, 'pubDate') || childText($, item, 'dc\\:date')
+        ),
+        author: childText($, item, 'dc\\:creator') || childText($, item, 'author'),
+        categories: childTexts($, item, 'category, dc\\:subject'),
+        summary: this.stripHtml(childText($, item, 'description'))
+      });
+    });
+
+    return {
+      format: 'rss',
+      title: childText($, channel, 'title'),
+      link: this.resolveUrl(childText($, channel, 'link'), feedUrl),
+      entries: entries.filter(entry => entry.link)
+    };
+  }
+
+  parseAtom($, feedUrl) {
+    const feed = $('feed').first();
+    const entries = [];
+
+    $('entry').each((i, elem) => {
+      const entry = $(elem);
+      const link = this.resolveUrl(this.atomLink($, entry), feedUrl);
+
+      entries.push({
+        id: childText($, entry, 'id') || link,
+        title: childText($, entry, 'title'),
+        link,
+        publishDate: this.normaliseDate(
+          childText($, entry, 'published') || childText($, entry, 'updated')
+        ),
+        author: entry.children('author').first().children('name').text().trim() || null,
+        categories: entry.children('category')
+          .map((i, cat) => $(cat).attr('term') || $(cat).attr('label'))
+          .get()
+          .filter(Boolean),
+        summary: this.stripHtml(childText($, entry, 'summary') || childText($, entry, 'content'))
+      });
+    });
+
+    return {
+      format: 'atom',
+      title: childText($, feed, 'title'),
+      link: this.resolveUrl(this.atomLink($, feed), feedUrl),
+      entries: entries.filter(entry => entry.link)
+    };
+  }
+
+  atomLink($, elem) {
+    const links = elem.children('link');
+    const alternate = links.filter((i, link) => {
+      const rel = $(link).attr('rel');
+      return !rel || rel === 'alternate';
+    }).first();
+
+    return (alternate.length ? alternate : links.first()).attr('href') || null;
+  }
+
+  resolveUrl(url, baseUrl) {
+    if (!url) return null;
+    try {
+      return new URL(url.trim(), baseUrl).href;
+    } catch {
+      return null;
+    }
+  }
+
+  normaliseDate(value) {
+    if (!value) return null;
+    const time = Date.parse(value);
+    return isNaN(time) ? value : new Date(time).toISOString();
+  }
+
+  stripHtml(value) {
+    if (!value) return null;
+    return load(value).text().replace(/\s+/g, ' ').trim() || null;
+  }
+}
+
+function childText($, elem, selector) {
+  return elem.children(selector).first().text().trim() || null;
+}
+
+function childTexts($, elem, selector) {
+  const values = [];
+  elem.children(selector).each((i, child) => {
+    const value = $(child).text().trim();
+    if (value && !values.includes(value)) {
+      values.push(value);
+    }
+  });
+  return values;
+}
+
+export default FeedParser;
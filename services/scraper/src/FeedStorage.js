@@ -0,0 +1,91 @@
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from './utils/logger.js';
+
+// Create __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+class FeedStorage {
+  constructor() {
+    const projectRoot = join(__dirname, '../../..');
+    this.dataDir = join(projectRoot, 'data', 'feeds');
+    this.ensureDataDir();
+  }
+
+  async ensureDataDir() {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+    } catch (error) {
+      logger.error('Failed to create feeds directory:', error);
+    }
+  }
+
+  getFeedPath(id) {
+    return join(this.dataDir, `feed-${id}.json`);
+  }
+
+  async saveFeed(feed) {
+    try {
+      const filePath = this.getFeedPath(feed.id);
+      await fs.writeFile(filePath, JSON.stringify(feed, null, 2), 'utf8');
+      logger.info(`Saved feed: ${feed.id}`);
+      return feed;
+    } catch (error) {
+      logger.error('Failed to save feed:', error);
+      throw error;
+    }
+  }
+
+  async getFeed(id) {
+    try {
+      const data = await fs.readFile(this.getFeedPath(id), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.error('Failed to read feed:', error);
+      throw error;
+    }
+  }
+
+  async getAllFeeds() {
+    try {
+      const files = await fs.readdir(this.dataDir);
+      const feedFiles = files.filter(f => f.startsWith('feed-') && f.endsWith('.json'));
+
+      const feeds = await Promise.all(
+        feedFiles.map(async (file) => {
+          const data = await fs.readFile(join(this.dataDir, file), 'utf8');
+          return JSON.parse(data);
+        })
+      );
+
+      return feeds.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    } catch (error) {
+      logger.error('Failed to get all feeds:', error);
+      throw error;
+    }
+  }
+
+  async findFeedByUrl(url) {
+    const feeds = await this.getAllFeeds();
+    return feeds.find(feed => feed.url === url) || null;
+  }
+
+  async deleteFeed(id) {
+    try {
+      await fs.unlink(this.getFeedPath(id));
+      logger.info(`Deleted feed: ${id}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to delete feed:', error);
+        throw error;
+      }
+    }
+  }
+}
+
+export default FeedStorage;
@@ -0,0 +1,239 @@
+import logger from './utils/logger.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Per-host politeness scheduler.
+ *
+ * Each host gets its own request delay, concurrency cap and back-off state, so
+ * a batch spanning several publishers can proceed in parallel while every
+ * individual publisher still sees polite, spaced-out traffic.
+ */
+class HostScheduler {
+  constructor(config = {}) {
+    this.config = {
+      defaultDelay: parseInt(process.env.REQUEST_DELAY) || 2000,
+      maxConcurrency: parseInt(process.env.SCRAPE_CONCURRENCY) || 4,
+      maxConcurrencyPerHost: parseInt(process.env.HOST_CONCURRENCY) || 1,
+      maxBackoff: parseInt(process.env.MAX_BACKOFF) || 5 * 60 * 1000,
+      hostDelays: parseHostDelays(process.env.HOST_DELAYS),
+      ...config
+    };
+    this.hosts = new Map(); // hostname -> { active, nextAvailableAt, backoff, crawlDelay }
+  }
+
+  getHost(url) {
+    return new URL(url).hostname.toLowerCase();
+  }
+
+  getState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        active: 0,
+        nextAvailableAt: 0,
+        backoff: 0,
+        crawlDelay: null
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Delay between requests to a host: the larger of the configured delay
+   * and robots.txt Crawl-delay, plus any back-off from 429/503 responses
+   */
+  getDelay(host) {
+    const state = this.getState(host);
+    const configured = this.config.hostDelays[host] ?? this.config.defaultDelay;
+    const crawlDelay = state.crawlDelay ? state.crawlDelay * 1000 : 0;
+    return Math.max(configured, crawlDelay) + state.backoff;
+  }
+
+  setCrawlDelay(url, seconds) {
+    if (seconds === null || seconds === undefined) return;
+    this.getState(this.getHost(url)).crawlDelay = seconds;
+  }
+
+  /**
+   * Wait until a request to the URL's host is allowed, then reserve a slot.
+   * Every acquire must be paired with a release.
+   */
+  async acquire(url) {
+    const host = this.getHost(url);
+    const state = this.getState(host);
+
+    while (true) {
+      const now = Date.now();
+      if (state.active < this.config.maxConcurrencyPerHost && now >= state.nextAvailableAt) {
+        state.active++;
+        state.nextAvailableAt = now + this.getDelay(host);
+        return host;
+      }
+      await sleep(Math.max(state.nextAvailableAt - now, 50));
+    }
+  }
+
+  /**
+   * Wait until acquire() would not have to wait for the URL's host, without
+   * reserving anything
+   */
+  async waitForHost(url) {
+    const host = this.getHost(url);
+    const state = this.getState(host);
+
+    while (true) {
+      const now = Date.now();
+      if (state.active < this.config.maxConcurrencyPerHost && now >= state.nextAvailableAt) return;
+      await sleep(Math.max(state.nextAvailableAt - now, 50));
+    }
+  }
+
+  /**
+   * Release a slot and update back-off from the response
+   * @param {string} url - URL that was requested
+   * @param {Object} outcome - { status, retryAfter } from the response, if any
+   */
+  release(url, outcome = {}) {
+    const host = this.getHost(url);
+    const state = this.getState(host);
+    state.active = Math.max(0, state.active - 1);
+
+    const { status, retryAfter } = outcome;
+
+    if (status === 429 || status === 503) {
+      const retryAfterMs = parseRetryAfter(retryAfter);
+      state.backoff = Math.min(
+        Math.max(state.backoff * 2, this.config.defaultDelay),
+        this.config.maxBackoff
+      );
+
+      const wait = retryAfterMs !== null
+        ? Math.min(retryAfterMs, this.config.maxBackoff)
+        : state.backoff;
+      state.nextAvailableAt = Math.max(state.nextAvailableAt, Date.now() + wait);
+
+      logger.warn(`Host ${host} returned ${status}, backing off ${wait}ms`);
+    } else if (status && status < 400) {
+      state.backoff = 0;
+    }
+  }
+
+  /**
+   * Run a worker over a list of URLs, interleaving hosts.
+   * Up to maxConcurrency requests run at once across all hosts, and each host
+   * is limited by maxConcurrencyPerHost and its delay. A lane only asks for
+   * one of the shared slots once its host is ready, and freed slots go to
+   * waiting lanes in turn, so a host sitting out its delay doesn't hold a
+   * slot other hosts could use.
+   * @param {string[]} urls - URLs to process
+   * @param {Function} worker - async (url) => result
+   * @returns {Promise<Array>} Results in the same order as urls
+   */
+  async runBatch(urls, worker) {
+    const results = new Array(urls.length);
+    const queues = new Map(); // host -> [index]
+
+    urls.forEach((url, index) => {
+      let host;
+      try {
+        host = this.getHost(url);
+      } catch {
+        host = '';
+      }
+      if (!queues.has(host)) queues.set(host, []);
+      queues.get(host).push(index);
+    });
+
+    let running = 0;
+    const waiters = [];
+    const takeSlot = async () => {
+      if (running < this.config.maxConcurrency && waiters.length === 0) {
+        running++;
+        return;
+      }
+      await new Promise(resolve => waiters.push(resolve));
+    };
+    // Hand the slot straight to the longest-waiting lane, so the lane that
+    // just finished can't take it back first
+    const giveSlot = () => {
+      const next = waiters.shift();
+      if (next) next();
+      else running--;
+    };
+
+    const lane = async (queue, host) => {
+      while (queue.length > 0) {
+        const index = queue.shift();
+        if (host) await this.waitForHost(urls[index]);
+        await takeSlot();
+        try {
+          results[index] = await worker(urls[index]);
+        } finally {
+          giveSlot();
+        }
+      }
+    };
+
+    const lanes = [];
+    for (const [host, queue] of queues.entries()) {
+      const laneCount = Math.min(this.config.maxConcurrencyPerHost, queue.length);
+      for (let i = 0; i < laneCount; i++) {
+        lanes.push(lane(queue, host));
+      }
+    }
+
+    logger.info(`Scheduling ${urls.length} URLs across ${queues.size} hosts`);
+    await Promise.all(lanes);
+
+    return results;
+  }
+
+  getStats() {
+    const stats = {};
+    for (const [host, state] of this.hosts.entries()) {
+      stats[host] = {
+        active: state.active,
+        delay: this.getDelay(host),
+        backoff: state.backoff,
+        crawlDelay: state.crawlDelay
+      };
+    }
+    return stats;
+  }
+}
+
+/**
+ * Parse HOST_DELAYS, e.g. "example.com=5000,news.example.org=10000"
+ */
+function parseHostDelays(value) {
+  const delays = {};
+  if (!value) return delays;
+
+  for (const entry of value.split(',')) {
+    const [host, ms] = entry.split('=').map(part => part.trim());
+    const delay = parseInt(ms);
+    if (host && !isNaN(delay)) {
+      delays[host.toLowerCase()] = delay;
+    }
+  }
+
+  return delays;
+}
+
+/**
+ * Retry-After is either delta-seconds or an HTTP date
+ * @returns {number|null} Milliseconds to wait
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+export default HostScheduler;
@@ -0,0 +1,43 @@
+import HostScheduler from './HostScheduler.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('HostScheduler.runBatch', () => {
+  test('interleaves hosts when there are more hosts than slots', async () => {
+    const scheduler = new HostScheduler({ defaultDelay: 40, maxConcurrency: 2, maxConcurrencyPerHost: 1 });
+    const urls = ['a', 'b', 'c', 'd'].flatMap(host =>
+      [1, 2, 3].map(n => `https://${host}.example/${n}`)
+    );
+    const order = [];
+
+    const results = await scheduler.runBatch(urls, async (url) => {
+      await scheduler.acquire(url);
+      try {
+        order.push(new URL(url).hostname[0]);
+        await sleep(10);
+        return url;
+      } finally {
+        scheduler.release(url, { status: 200 });
+      }
+    });
+
+    expect(results).toEqual(urls);
+    // Every host gets its first request before any host gets a second
+    expect(new Set(order.slice(0, 4))).toEqual(new Set(['a', 'b', 'c', 'd']));
+  });
+
+  test('runs no more than maxConcurrency workers at once', async () => {
+    const scheduler = new HostScheduler({ defaultDelay: 0, maxConcurrency: 2, maxConcurrencyPerHost: 2 });
+    const urls = ['a', 'b', 'c'].flatMap(host => [1, 2].map(n => `https://${host}.example/${n}`));
+    let running = 0;
+    let peak = 0;
+
+    await scheduler.runBatch(urls, async () => {
+      peak = Math.max(peak, ++running);
+      await sleep(10);
+      running--;
+    });
+
+    expect(peak).toBe(2);
+  });
+});
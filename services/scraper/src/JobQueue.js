@@ -0,0 +1,334 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from './utils/logger.js';
+
+// Item statuses that mean the URL has been dealt with
+const FINISHED_ITEM_STATUSES = ['succeeded', 'failed', 'blocked', 'rejected', 'skipped', 'cancelled'];
+
+/**
+ * Persisted queue of batch scrape jobs. Jobs are processed one at a time in
+ * the background (the host scheduler parallelises URLs within a job), every
+ * item's progress is written to disk as it happens, and unfinished jobs are
+ * picked up again when the service restarts.
+ *
+ * Job types: scrape (a fixed URL list) and crawl (seed URLs; items are added
+ * as links are discovered, see LinkCrawler).
+ * Job statuses: queued, running, completed, cancelled.
+ * Item statuses: pending, running, succeeded, failed, blocked, rejected
+ * (extraction quality below threshold), skipped (crawled, not an article),
+ * cancelled.
+ */
+class JobQueue {
+  constructor({ scraper, articleStorage, jobStorage, crawler }, config = {}) {
+    this.scraper = scraper;
+    this.articleStorage = articleStorage;
+    this.jobStorage = jobStorage;
+    this.crawler = crawler;
+    this.config = {
+      maxUrls: parseInt(process.env.JOB_MAX_URLS) || 1000,
+      ...config
+    };
+    this.queue = []; // Job ids waiting to run, oldest first
+    this.current = null; // Job being processed
+    this.processing = false;
+    this.saving = Promise.resolve(); // Serialises job writes
+  }
+
+  /**
+   * Resume jobs left queued or running by a previous process
+   */
+  async start() {
+    const jobs = await this.jobStorage.getJobs({ limit: Infinity });
+    const unfinished = jobs
+      .filter(job => job.status === 'queued' || job.status === 'running')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of unfinished) {
+      // Items interrupted mid-scrape are simply tried again
+      for (const item of job.items) {
+        if (item.status === 'running') item.status = 'pending';
+      }
+
+      if (job.cancelRequested) {
+        this.cancelPending(job);
+        this.finish(job);
+        await this.persist(job);
+        continue;
+      }
+
+      job.status = 'queued';
+      await this.persist(job);
+      this.queue.push(job.id);
+    }
+
+    if (this.queue.length > 0) {
+      logger.info(`Resuming ${this.queue.length} unfinished scrape job(s)`);
+      this.processNext();
+    }
+  }
+
+  /**
+   * Queue a batch scrape
+   * @param {string[]} urls - URLs to scrape (duplicates are dropped)
+   * @returns {Object} The new job record
+   */
+  async createJob(urls) {
+    const uniqueUrls = [...new Set(urls)];
+    if (uniqueUrls.length > this.config.maxUrls) {
+      throw new Error(`A job can contain at most ${this.config.maxUrls} URLs`);
+    }
+
+    return this.enqueue(this.newJob('scrape', uniqueUrls.map(url => newItem(url))));
+  }
+
+  /**
+   * Queue a link-following crawl
+   * @param {Object} crawl - Options from LinkCrawler.prepare()
+   * @returns {Object} The new job record
+   */
+  async createCrawlJob(crawl) {
+    const seeds = crawl.seeds.map(url => newItem(url, { depth: 0, foundOn: null }));
+    return this.enqueue(this.newJob('crawl', seeds, { crawl }));
+  }
+
+  newJob(type, items, extra = {}) {
+    return {
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      cancelRequested: false,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      startedAt: null,
+      endedAt: null,
+      total: items.length,
+      progress: null,
+      ...extra,
+      items
+    };
+  }
+
+  async enqueue(job) {
+    await this.persist(job);
+    this.queue.push(job.id);
+    logger.info(`Queued ${job.type} job ${job.id} with ${job.total} URLs`);
+
+    this.processNext();
+    return job;
+  }
+
+  /**
+   * Latest state of a job; the running job is read from memory
+   */
+  async getJob(id) {
+    if (this.current?.id === id) return this.current;
+    return this.jobStorage.getJob(id);
+  }
+
+  /**
+   * Cancel a queued or running job. URLs already being scraped finish,
+   * everything still pending is marked cancelled.
+   */
+  async cancel(job) {
+    if (this.current?.id === job.id) {
+      this.current.cancelRequested = true;
+      this.cancelPending(this.current);
+      await this.persist(this.current);
+      logger.info(`Cancelling running job ${job.id}`);
+      return this.current;
+    }
+
+    this.queue = this.queue.filter(id => id !== job.id);
+    job.cancelRequested = true;
+    this.cancelPending(job);
+    this.finish(job);
+    await this.persist(job);
+    logger.info(`Cancelled job ${job.id}`);
+    return job;
+  }
+
+  /**
+   * Re-queue a finished job's failed URLs
+   * @returns {number} How many URLs were queued again
+   */
+  async retryFailed(job) {
+    const failed = job.items.filter(item => item.status === 'failed');
+    if (failed.length === 0) return 0;
+
+    for (const item of failed) {
+      item.status = 'pending';
+      item.error = null;
+      item.startedAt = null;
+      item.endedAt = null;
+    }
+
+    job.status = 'queued';
+    job.cancelRequested = false;
+    job.endedAt = null;
+    await this.persist(job);
+    this.queue.push(job.id);
+
+    logger.info(`Retrying ${failed.length} failed URLs of job ${job.id}`);
+    this.processNext();
+    return failed.length;
+  }
+
+  async processNext() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const id = this.queue.shift();
+        const job = await this.jobStorage.getJob(id);
+        if (!job || job.status !== 'queued') continue;
+
+        try {
+          await this.runJob(job);
+        } catch (error) {
+          logger.error(`Scrape job ${id} failed:`, error);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async runJob(job) {
+    this.current = job;
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await this.persist(job);
+
+    logger.info(`Running ${job.type} job ${job.id}: ${job.items.filter(item => item.status === 'pending').length} URLs`);
+
+    try {
+      // Crawl jobs add items while running, so keep going until none are
+      // left; each pass of a crawl covers the next link depth
+      let pending;
+      while (!job.cancelRequested && (pending = job.items.filter(item => item.status === 'pending')).length > 0) {
+        await this.scraper.scheduler.runBatch(
+          pending.map(item => item.url),
+          url => this.processItem(job, job.items.find(item => item.url === url))
+        );
+      }
+    } finally {
+      this.finish(job);
+      this.current = null;
+      await this.persist(job);
+    }
+
+    const { succeeded, failed, blocked, rejected, skipped } = job.progress;
+    logger.info(`${job.type === 'crawl' ? 'Crawl' : 'Scrape'} job ${job.id} ${job.status}: ${succeeded} succeeded, ${failed} failed, ${blocked} blocked, ${rejected} rejected, ${skipped} skipped`);
+  }
+
+  async processItem(job, item) {
+    if (job.cancelRequested || item.status !== 'pending') return;
+
+    item.status = 'running';
+    item.attempts++;
+    item.startedAt = new Date().toISOString();
+    await this.persist(job);
+
+    try {
+      const result = job.type === 'crawl'
+        ? await this.crawlItem(job, item)
+        : await this.scraper.scrapeArticle(item.url);
+
+      if (result.success) {
+        const { article, status } = await this.articleStorage.saveOrUpdateArticle(result.article);
+        item.status = 'succeeded';
+        item.articleId = article.id;
+        item.articleStatus = status;
+      } else if (result.blockedByPolicy || result.blockedByRobots) {
+        item.status = 'blocked';
+        item.error = result.error;
+      } else if (result.rejected) {
+        item.status = 'rejected';
+        item.error = result.error;
+      } else if (result.skipped) {
+        item.status = 'skipped';
+        item.error = result.reason;
+      } else {
+        item.status = 'failed';
+        item.error = result.error;
+      }
+    } catch (error) {
+      item.status = 'failed';
+      item.error = error.message;
+    }
+
+    item.endedAt = new Date().toISOString();
+    await this.persist(job);
+  }
+
+  /**
+   * Crawl one page and queue the links it leads to, within the job's depth
+   * and page limits
+   */
+  async crawlItem(job, item) {
+    const result = await this.crawler.crawlPage(item.url, job.crawl);
+
+    // Links found after a cancel would be left pending forever
+    if (!job.cancelRequested && item.depth < job.crawl.maxDepth) {
+      const known = new Set(job.items.map(existing => existing.url));
+      for (const link of result.links) {
+        if (job.items.length >= job.crawl.maxPages) break;
+        if (known.has(link)) continue;
+        known.add(link);
+        job.items.push(newItem(link, { depth: item.depth + 1, foundOn: item.url }));
+      }
+      job.total = job.items.length;
+    }
+
+    return result;
+  }
+
+  cancelPending(job) {
+    for (const item of job.items) {
+      if (item.status === 'pending') item.status = 'cancelled';
+    }
+  }
+
+  finish(job) {
+    job.status = job.cancelRequested ? 'cancelled' : 'completed';
+    job.endedAt = new Date().toISOString();
+  }
+
+  /**
+   * Recount progress and write the job
+   */
+  persist(job) {
+    const counts = { pending: 0, running: 0, succeeded: 0, failed: 0, blocked: 0, rejected: 0, skipped: 0, cancelled: 0 };
+    for (const item of job.items) {
+      counts[item.status]++;
+    }
+
+    const done = job.items.filter(item => FINISHED_ITEM_STATUSES.includes(item.status)).length;
+    job.progress = {
+      ...counts,
+      done,
+      percent: job.total ? Math.round((done / job.total) * 100) : 100
+    };
+    job.updatedAt = new Date().toISOString();
+
+    const write = this.saving.then(() => this.jobStorage.saveJob(job));
+    this.saving = write.catch(() => {});
+    return write;
+  }
+}
+
+function newItem(url, extra = {}) {
+  return {
+    url,
+    ...extra,
+    status: 'pending',
+    attempts: 0,
+    articleId: null,
+    articleStatus: null,
+    error: null,
+    startedAt: null,
+    endedAt: null
+  };
+}
+
+export default JobQueue;
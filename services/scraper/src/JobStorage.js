@@ -0,0 +1,93 @@
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from './utils/logger.js';
+
+// Create __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Persists scrape jobs so queued and interrupted work survives a restart
+ */
+class JobStorage {
+  constructor() {
+    const projectRoot = join(__dirname, '../../..');
+    this.dataDir = join(projectRoot, 'data', 'jobs');
+    this.ensureDataDir();
+  }
+
+  async ensureDataDir() {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+    } catch (error) {
+      logger.error('Failed to create jobs directory:', error);
+    }
+  }
+
+  getJobPath(id) {
+    return join(this.dataDir, `job-${id}.json`);
+  }
+
+  async saveJob(job) {
+    try {
+      await fs.writeFile(this.getJobPath(job.id), JSON.stringify(job, null, 2), 'utf8');
+      return job;
+    } catch (error) {
+      logger.error('Failed to save job:', error);
+      throw error;
+    }
+  }
+
+  async getJob(id) {
+    try {
+      const data = await fs.readFile(this.getJobPath(id), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.error('Failed to read job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} options - { status, limit, offset }
+   */
+  async getJobs({ status = null, type = null, limit = 50, offset = 0 } = {}) {
+    try {
+      await this.ensureDataDir();
+      const files = await fs.readdir(this.dataDir);
+      const jobs = await Promise.all(
+        files
+          .filter(f => f.startsWith('job-') && f.endsWith('.json'))
+          .map(async (file) => JSON.parse(await fs.readFile(join(this.dataDir, file), 'utf8')))
+      );
+
+      return jobs
+        .filter(job => !status || job.status === status)
+        .filter(job => !type || job.type === type)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(offset, offset + limit);
+    } catch (error) {
+      logger.error('Failed to get jobs:', error);
+      throw error;
+    }
+  }
+
+  async deleteJob(id) {
+    try {
+      await fs.unlink(this.getJobPath(id));
+      logger.info(`Deleted job: ${id}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to delete job:', error);
+        throw error;
+      }
+    }
+  }
+}
+
+export default JobStorage;
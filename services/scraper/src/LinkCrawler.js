@@ -0,0 +1,128 @@
+import { normaliseUrl } from './utils/canonical-url.js';
+import { matchesPathPatterns } from './utils/url-patterns.js';
+import { isSameSite } from './utils/links.js';
+import { classifyArticlePage } from './utils/article-classifier.js';
+import logger from './utils/logger.js';
+
+/**
+ * Link-following crawl from seed pages. Pages are fetched through
+ * ArticleScraper.scrapeArticle, so robots.txt, the host scheduler and the
+ * response cache all apply. Links are followed from every page, but only
+ * pages the article classifier accepts are saved.
+ *
+ * The crawl itself runs as a JobQueue job (type "crawl"); this class
+ * validates crawl options and handles one page at a time.
+ */
+class LinkCrawler {
+  constructor(scraper, config = {}) {
+    this.scraper = scraper;
+    this.config = {
+      defaultDepth: 2,
+      defaultPages: 100,
+      maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH) || 5,
+      maxPages: parseInt(process.env.CRAWL_MAX_PAGES) || 1000,
+      ...config
+    };
+  }
+
+  /**
+   * Validate and fill in crawl options
+   * @param {Object} options - { seeds, include, exclude, maxDepth, maxPages }
+   * @returns {Object} { crawl } or { error }
+   */
+  prepare({ seeds, include = [], exclude = [], maxDepth, maxPages } = {}) {
+    if (!Array.isArray(seeds) || seeds.length === 0) {
+      return { error: 'seeds array is required' };
+    }
+
+    try {
+      for (const seed of seeds) {
+        const { protocol } = new URL(seed);
+        if (protocol !== 'http:' && protocol !== 'https:') throw new Error();
+      }
+    } catch {
+      return { error: 'seeds must be valid http(s) URLs' };
+    }
+
+    if (!Array.isArray(include) || !Array.isArray(exclude)) {
+      return { error: 'include and exclude must be arrays of path patterns' };
+    }
+
+    const depth = maxDepth === undefined ? this.config.defaultDepth : parseInt(maxDepth);
+    const pages = maxPages === undefined ? this.config.defaultPages : parseInt(maxPages);
+
+    if (isNaN(depth) || depth < 0 || depth > this.config.maxDepth) {
+      return { error: `maxDepth must be between 0 and ${this.config.maxDepth}` };
+    }
+
+    if (isNaN(pages) || pages < 1 || pages > this.config.maxPages) {
+      return { error: `maxPages must be between 1 and ${this.config.maxPages}` };
+    }
+
+    const uniqueSeeds = [...new Set(seeds.map(normaliseUrl))];
+    if (uniqueSeeds.length > pages) {
+      return { error: 'maxPages must be at least the number of seeds' };
+    }
+
+    return {
+      crawl: {
+        seeds: uniqueSeeds,
+        include,
+        exclude,
+        maxDepth: depth,
+        maxPages: pages
+      }
+    };
+  }
+
+  /**
+   * Whether a link found during the crawl should be queued
+   */
+  shouldFollow(url, crawl) {
+    try {
+      return crawl.seeds.some(seed => isSameSite(url, seed)) &&
+        matchesPathPatterns(url, crawl.include, crawl.exclude);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Fetch one page of a crawl
+   * @param {string} url - Page URL
+   * @param {Object} crawl - Options from prepare()
+   * @returns {Object} The scrapeArticle result, plus `links` to follow. Pages
+   *   that are not articles come back as { success: false, skipped: true, reason }.
+   */
+  async crawlPage(url, crawl) {
+    const result = await this.scraper.scrapeArticle(url, { links: true });
+    // An unchanged stored article (304) has no fresh HTML to take links from
+    const links = (result.links || [])
+      .map(normaliseUrl)
+      .filter(link => this.shouldFollow(link, crawl));
+
+    if (result.rejected) {
+      return { success: false, skipped: true, reason: result.error, links, url };
+    }
+
+    if (!result.success || result.notModified) {
+      return { ...result, links };
+    }
+
+    const classification = classifyArticlePage(result.article);
+    if (!classification.isArticle) {
+      logger.info(`Not an article, following links only: ${url} (${classification.reasons.join(', ')})`);
+      return {
+        success: false,
+        skipped: true,
+        reason: `Not an article page (score ${classification.score})`,
+        links,
+        url
+      };
+    }
+
+    return { ...result, links };
+  }
+}
+
+export default LinkCrawler;
@@ -0,0 +1,150 @@
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import logger from './utils/logger.js';
+
+/**
+ * Text and metadata extraction from PDF documents (reports, commodity
+ * summaries, filings). Text is kept per page so articles built from a PDF
+ * can be cited by page.
+ */
+class PdfExtractor {
+  constructor(config = {}) {
+    this.config = {
+      maxPages: parseInt(process.env.PDF_MAX_PAGES) || 500,
+      ...config
+    };
+  }
+
+  static isPdf(data, contentType = '') {
+    if (/application\/(x-)?pdf/i.test(contentType)) return true;
+    return Buffer.isBuffer(data) && data.subarray(0, 5).toString('latin1') === '%PDF-';
+  }
+
+  /**
+   * Extract text and metadata from a PDF
+   * @param {Buffer} data - PDF file contents
+   * @returns {Object} { info, pageCount, pages: [{ page, paragraphs }] }
+   */
+  async extract(data) {
+    const doc = await getDocument({
+      data: new Uint8Array(data),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+      verbosity: 0
+    }).promise;
+
+    try {
+      const { info = {} } = await doc.getMetadata().catch(() => ({}));
+      const pageCount = doc.numPages;
+      const pages = [];
+
+      if (pageCount > this.config.maxPages) {
+        logger.warn(`PDF has ${pageCount} pages, extracting the first ${this.config.maxPages}`);
+      }
+
+      for (let number = 1; number <= Math.min(pageCount, this.config.maxPages); number++) {
+        const page = await doc.getPage(number);
+        const textContent = await page.getTextContent();
+        pages.push({ page: number, paragraphs: toParagraphs(textContent.items) });
+        page.cleanup();
+      }
+
+      return {
+        info: {
+          title: cleanInfo(info.Title),
+          author: cleanInfo(info.Author),
+          subject: cleanInfo(info.Subject),
+          keywords: cleanInfo(info.Keywords),
+          creator: cleanInfo(info.Creator),
+          producer: cleanInfo(info.Producer),
+          creationDate: parsePdfDate(info.CreationDate),
+          creationDateRaw: cleanInfo(info.CreationDate),
+          modDate: parsePdfDate(info.ModDate)
+        },
+        pageCount,
+        pages
+      };
+    } finally {
+      await doc.destroy();
+    }
+  }
+}
+
+/**
+ * Group positioned text items into paragraphs. A vertical gap noticeably
+ * bigger than the line height starts a new paragraph; hyphenated line
+ * breaks are joined back up.
+ */
+function toParagraphs(items) {
+  const paragraphs = [];
+  let lines = [];
+  let line = '';
+  let lastY = null;
+  let lineHeight = 0;
+
+  const endLine = () => {
+    if (line.trim()) lines.push(line.trim());
+    line = '';
+  };
+  const endParagraph = () => {
+    endLine();
+    const text = lines
+      .join('\n')
+      .replace(/(\w)-\n(?=[a-z])/g, '$1')
+      .replace(/\s*\n\s*/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (text) paragraphs.push(text);
+    lines = [];
+  };
+
+  for (const item of items) {
+    if (typeof item.str !== 'string') continue;
+
+    const y = item.transform[5];
+    if (item.str.trim() && lastY !== null && Math.abs(lastY - y) > 0.5) {
+      const gap = Math.abs(lastY - y);
+      if (gap > Math.max(lineHeight, item.height || 0) * 1.8) {
+        endParagraph();
+      } else {
+        endLine();
+      }
+    }
+
+    line += item.str;
+    if (item.hasEOL) endLine();
+
+    if (item.str.trim()) {
+      lastY = y;
+      lineHeight = item.height || lineHeight;
+    }
+  }
+  endParagraph();
+
+  return paragraphs;
+}
+
+function cleanInfo(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+/**
+ * PDF dates look like "D:20250115103000+05'00'"; anything after the year is optional
+ * @returns {string|null} ISO-8601 UTC
+ */
+function parsePdfDate(value) {
+  const match = String(value || '').match(
+    /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*(Z|[+-])?(\d{2})?'?(\d{2})?'?/
+  );
+  if (!match) return null;
+
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00', sign, oh = '00', om = '00'] = match;
+  const offset = sign && sign !== 'Z' ? (sign === '-' ? -1 : 1) * (parseInt(oh) * 60 + parseInt(om)) : 0;
+  const ms = Date.UTC(parseInt(y), parseInt(mo) - 1, parseInt(d), parseInt(h), parseInt(mi), parseInt(s)) - offset * 60 * 1000;
+
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+export default PdfExtractor;
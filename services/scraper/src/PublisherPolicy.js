@@ -0,0 +1,234 @@
+import { readFileSync, existsSync, promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from './utils/logger.js';
+
+// Create __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ACCESS_VALUES = ['allow', 'block'];
+
+/**
+ * Publisher access and licensing policy kept by the legal team, loaded from
+ * a JSON file (services/scraper/publisher-policy.json, or
+ * PUBLISHER_POLICY_FILE):
+ * {
+ *   "requireAllowlist": false,
+ *   "publishers": [
+ *     {
+ *       "name": "Example News",
+ *       "domains": ["example.com"],
+ *       "access": "allow",
+ *       "licence": "Syndication agreement 2024-17, internal research use",
+ *       "attribution": "© Example News, used with permission",
+ *       "attributionUrl": "https://example.com/licensing"
+ *     }
+ *   ]
+ * }
+ *
+ * "access" is "allow" or "block". A domain also covers its subdomains, and
+ * the longest matching domain wins. With requireAllowlist (or
+ * REQUIRE_ALLOWLIST=true) publishers not listed as "allow" are refused.
+ * Every decision is logged and appended to data/policy/decisions.jsonl.
+ */
+class PublisherPolicy {
+  constructor(policyFile = process.env.PUBLISHER_POLICY_FILE || join(__dirname, '../publisher-policy.json')) {
+    const projectRoot = join(__dirname, '../../..');
+    this.policyFile = policyFile;
+    this.logDir = join(projectRoot, 'data', 'policy');
+    this.decisionLog = join(this.logDir, 'decisions.jsonl');
+    this.requireAllowlist = false;
+    this.publishers = [];
+    this.writing = Promise.resolve(); // Serialises decision log appends
+
+    try {
+      this.load();
+    } catch (error) {
+      // Fail closed: refuse everything until a valid policy is loaded
+      logger.error(`${error.message}; refusing all publishers until the policy is fixed and reloaded`);
+      this.requireAllowlist = true;
+    }
+  }
+
+  /**
+   * Check a policy definition
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate(policy) {
+    if (!policy || typeof policy !== 'object') return 'Policy must be an object';
+    if (!Array.isArray(policy.publishers)) return 'Policy publishers must be an array';
+
+    for (const publisher of policy.publishers) {
+      if (!publisher.name) return 'Every publisher needs a name';
+      if (!Array.isArray(publisher.domains) || publisher.domains.length === 0) {
+        return `Publisher "${publisher.name}" domains must be a non-empty array`;
+      }
+      if (!ACCESS_VALUES.includes(publisher.access)) {
+        return `Publisher "${publisher.name}" access must be one of: ${ACCESS_VALUES.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * (Re)load the policy file. An invalid file keeps the previous policy.
+   */
+  load() {
+    if (!existsSync(this.policyFile)) {
+      logger.warn(`Publisher policy not found: ${this.policyFile} (all publishers allowed)`);
+      this.publishers = [];
+      this.requireAllowlist = process.env.REQUIRE_ALLOWLIST === 'true';
+      return this.getPolicy();
+    }
+
+    let policy;
+    try {
+      policy = JSON.parse(readFileSync(this.policyFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read publisher policy ${this.policyFile}: ${error.message}`);
+    }
+
+    const error = this.validate(policy);
+    if (error) {
+      throw new Error(`Invalid publisher policy ${this.policyFile}: ${error}`);
+    }
+
+    this.publishers = policy.publishers;
+    this.requireAllowlist = process.env.REQUIRE_ALLOWLIST === 'true' || Boolean(policy.requireAllowlist);
+    logger.info(`Loaded publisher policy: ${this.publishers.length} publishers, allowlist ${this.requireAllowlist ? 'required' : 'optional'}`);
+    return this.getPolicy();
+  }
+
+  getPolicy() {
+    return {
+      file: this.policyFile,
+      requireAllowlist: this.requireAllowlist,
+      publishers: this.publishers
+    };
+  }
+
+  /**
+   * Policy entry for a URL's publisher, or null if it isn't listed
+   */
+  findPublisher(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+
+    let best = null;
+    let bestLength = 0;
+
+    for (const publisher of this.publishers) {
+      for (const domain of publisher.domains) {
+        const d = domain.toLowerCase();
+        if ((hostname === d || hostname.endsWith(`.${d}`)) && d.length > bestLength) {
+          best = publisher;
+          bestLength = d.length;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Licence and attribution terms to store with an article from this URL
+   * @returns {Object|null} { publisher, licence, attribution, attributionUrl }
+   */
+  rightsFor(url) {
+    const publisher = url ? this.findPublisher(url) : null;
+    if (!publisher) return null;
+
+    return {
+      publisher: publisher.name,
+      licence: publisher.licence || null,
+      attribution: publisher.attribution || null,
+      attributionUrl: publisher.attributionUrl || null
+    };
+  }
+
+  /**
+   * Decide whether a URL may be fetched, and log the decision
+   * @param {string} url - URL about to be scraped
+   * @param {string} action - What the decision is for (e.g. "scrape")
+   * @returns {Object} { allowed, reason, publisher, rights }
+   *   reason: "allowlisted", "unlisted", "blocked" or "not-allowlisted"
+   */
+  async check(url, action = 'scrape') {
+    const publisher = this.findPublisher(url);
+
+    let allowed;
+    let reason;
+    if (publisher?.access === 'block') {
+      allowed = false;
+      reason = 'blocked';
+    } else if (publisher?.access === 'allow') {
+      allowed = true;
+      reason = 'allowlisted';
+    } else if (this.requireAllowlist) {
+      allowed = false;
+      reason = 'not-allowlisted';
+    } else {
+      allowed = true;
+      reason = 'unlisted';
+    }
+
+    const decision = {
+      url,
+      action,
+      allowed,
+      reason,
+      publisher: publisher?.name || null,
+      rights: this.rightsFor(url),
+      decidedAt: new Date().toISOString()
+    };
+
+    if (allowed) {
+      logger.info(`Policy allowed ${action} of ${url} (${reason}${publisher ? `: ${publisher.name}` : ''})`);
+    } else {
+      logger.warn(`Policy refused ${action} of ${url} (${reason}${publisher ? `: ${publisher.name}` : ''})`);
+    }
+
+    await this.logDecision(decision);
+    return decision;
+  }
+
+  logDecision(decision) {
+    const write = this.writing.then(async () => {
+      await fs.mkdir(this.logDir, { recursive: true });
+      await fs.appendFile(this.decisionLog, `${JSON.stringify(decision)}\n`, 'utf8');
+    });
+    this.writing = write.catch(error => logger.error('Failed to log policy decision:', error));
+    return this.writing;
+  }
+
+  /**
+   * Most recent decisions, newest first
+   * @param {Object} options - { limit, allowed: true|false|null }
+   */
+  async getDecisions({ limit = 100, allowed = null } = {}) {
+    try {
+      const data = await fs.readFile(this.decisionLog, 'utf8');
+      return data
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+        .filter(decision => allowed === null || decision.allowed === allowed)
+        .reverse()
+        .slice(0, limit);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      logger.error('Failed to read policy decisions:', error);
+      throw error;
+    }
+  }
+}
+
+export default PublisherPolicy;
@@ -0,0 +1,174 @@
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { gzip, gunzip } from 'zlib';
+import { promisify } from 'util';
+import { normaliseUrl } from './utils/canonical-url.js';
+import logger from './utils/logger.js';
+
+// Create __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+/**
+ * Raw HTTP response cache keyed by normalised URL. Each entry keeps the
+ * validators (ETag, Last-Modified) for conditional requests, and every
+ * distinct body fetched for the URL is kept as a gzipped snapshot so
+ * extractors can be re-run over history without refetching.
+ *
+ * data/response-cache/<key>.json       entry: validators + snapshot list
+ * data/response-cache/<key>/<id>.gz    snapshot bodies
+ */
+class ResponseCache {
+  constructor(config = {}) {
+    const projectRoot = join(__dirname, '../../..');
+    this.config = {
+      enabled: process.env.RESPONSE_CACHE_ENABLED !== 'false',
+      maxSnapshots: parseInt(process.env.SNAPSHOTS_PER_URL) || 20,
+      ...config
+    };
+    this.dataDir = join(projectRoot, 'data', 'response-cache');
+    this.ensureDataDir();
+  }
+
+  async ensureDataDir() {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+    } catch (error) {
+      logger.error('Failed to create response cache directory:', error);
+    }
+  }
+
+  getKey(url) {
+    return createHash('sha256').update(normaliseUrl(url)).digest('hex').slice(0, 32);
+  }
+
+  getEntryPath(key) {
+    return join(this.dataDir, `${key}.json`);
+  }
+
+  getSnapshotPath(key, id) {
+    return join(this.dataDir, key, `${id}.gz`);
+  }
+
+  async get(url) {
+    if (!this.config.enabled) return null;
+
+    try {
+      const data = await fs.readFile(this.getEntryPath(this.getKey(url)), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.error('Failed to read response cache entry:', error);
+      throw error;
+    }
+  }
+
+  async saveEntry(entry) {
+    await fs.writeFile(this.getEntryPath(entry.key), JSON.stringify(entry, null, 2), 'utf8');
+    return entry;
+  }
+
+  /**
+   * Store a fresh 200 response. A new snapshot is written only when the
+   * body differs from the latest one.
+   * @param {string} url - Requested URL
+   * @param {Object} response - { headers, body: Buffer }
+   * @returns {Object} The cache entry; entry.snapshots[0] is the current body
+   */
+  async put(url, { headers = {}, body }) {
+    if (!this.config.enabled) return null;
+
+    const key = this.getKey(url);
+    const now = new Date().toISOString();
+    const hash = createHash('sha256').update(body).digest('hex');
+    const entry = (await this.get(url)) || { key, url: normaliseUrl(url), snapshots: [] };
+
+    Object.assign(entry, {
+      etag: headers.etag || null,
+      lastModified: headers['last-modified'] || null,
+      contentType: headers['content-type'] || null,
+      fetchedAt: now,
+      validatedAt: now
+    });
+
+    if (entry.snapshots[0]?.hash !== hash) {
+      const id = `${now.replace(/[:.]/g, '-')}-${hash.slice(0, 8)}`;
+      await fs.mkdir(join(this.dataDir, key), { recursive: true });
+      await fs.writeFile(this.getSnapshotPath(key, id), await gzipAsync(body));
+
+      entry.snapshots.unshift({ id, fetchedAt: now, hash, size: body.length, contentType: entry.contentType });
+
+      for (const old of entry.snapshots.splice(this.config.maxSnapshots)) {
+        await fs.unlink(this.getSnapshotPath(key, old.id)).catch(() => {});
+      }
+    }
+
+    return this.saveEntry(entry);
+  }
+
+  /**
+   * Record a 304: the cached body is still current
+   */
+  async markValidated(url) {
+    const entry = await this.get(url);
+    if (!entry) return null;
+
+    entry.validatedAt = new Date().toISOString();
+    return this.saveEntry(entry);
+  }
+
+  /**
+   * Conditional request headers for a URL, if it has been fetched before
+   */
+  async getValidators(url) {
+    const entry = await this.get(url);
+    if (!entry || entry.snapshots.length === 0) return {};
+
+    const headers = {};
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+
+  async getSnapshots(url) {
+    const entry = await this.get(url);
+    return entry ? entry.snapshots : [];
+  }
+
+  /**
+   * Read a snapshot body; defaults to the latest
+   * @returns {Object|null} { snapshot, body: Buffer }
+   */
+  async getSnapshot(url, id = null) {
+    const entry = await this.get(url);
+    const snapshot = entry?.snapshots.find(s => !id || s.id === id);
+    if (!snapshot) return null;
+
+    try {
+      const body = await gunzipAsync(await fs.readFile(this.getSnapshotPath(entry.key, snapshot.id)));
+      return { snapshot, body };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.error('Failed to read snapshot:', error);
+      throw error;
+    }
+  }
+
+  async delete(url) {
+    const key = this.getKey(url);
+    await fs.rm(join(this.dataDir, key), { recursive: true, force: true });
+    await fs.rm(this.getEntryPath(key), { force: true });
+    logger.info(`Deleted cached responses for ${url}`);
+  }
+}
+
+export default ResponseCache;
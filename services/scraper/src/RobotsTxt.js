@@ -0,0 +1,178 @@
+import { compilePathPattern } from './utils/url-patterns.js';
+
+/**
+ * Parsed robots.txt rules for a single origin (RFC 9309).
+ *
+ * Groups are keyed by user-agent token. A crawler uses the groups naming its
+ * product token (compared whole, ignoring case), falling back to "*". Within
+ * a group the longest matching Allow/Disallow pattern decides, with Allow
+ * winning ties.
+ */
+class RobotsTxt {
+  constructor(groups = [], sitemaps = [], options = {}) {
+    this.groups = groups;
+    this.sitemaps = sitemaps;
+    // Used when robots.txt could not be retrieved at all
+    this.allowAll = options.allowAll || false;
+    this.disallowAll = options.disallowAll || false;
+  }
+
+  /**
+   * Parse the body of a robots.txt file
+   * @param {string} text - Raw robots.txt content
+   * @returns {RobotsTxt}
+   */
+  static parse(text = '') {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text).split(/\r\n|\r|\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) continue;
+
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share the same group
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+        continue;
+      }
+
+      if (!current) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow means "allow everything" and adds no rule
+        if (!value) continue;
+        current.rules.push({
+          allow: field === 'allow',
+          pattern: value,
+          regex: compilePathPattern(value)
+        });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+      }
+    }
+
+    return new RobotsTxt(groups, sitemaps);
+  }
+
+  /**
+   * Rules used when robots.txt is missing (4xx)
+   */
+  static allowEverything() {
+    return new RobotsTxt([], [], { allowAll: true });
+  }
+
+  /**
+   * Rules used when robots.txt is unreachable (5xx or network error)
+   */
+  static disallowEverything() {
+    return new RobotsTxt([], [], { disallowAll: true });
+  }
+
+  /**
+   * Collect the rules that apply to a user agent. All groups naming its
+   * product token are merged, per RFC 9309; a group for "bot" does not
+   * apply to "ArticleBot".
+   */
+  findGroups(userAgent) {
+    const token = productToken(userAgent);
+    const named = this.groups.filter(group => group.agents.some(agent => productToken(agent) === token));
+    return named.length > 0 ? named : this.groups.filter(group => group.agents.includes('*'));
+  }
+
+  /**
+   * Check whether a URL may be fetched by the given user agent
+   * @param {string} url - Absolute URL
+   * @param {string} userAgent - Full User-Agent header value
+   * @returns {{ allowed: boolean, rule: string|null }}
+   */
+  check(url, userAgent) {
+    if (this.disallowAll) return { allowed: false, rule: null };
+    if (this.allowAll) return { allowed: true, rule: null };
+
+    const { pathname, search } = new URL(url);
+    const path = `${pathname}${search}`;
+
+    // robots.txt is always fetchable
+    if (pathname === '/robots.txt') return { allowed: true, rule: null };
+
+    let match = null;
+
+    for (const group of this.findGroups(userAgent)) {
+      for (const rule of group.rules) {
+        if (!rule.regex.test(path) && !rule.regex.test(decodeURIComponentSafe(path))) {
+          continue;
+        }
+
+        if (
+          !match ||
+          rule.pattern.length > match.pattern.length ||
+          (rule.pattern.length === match.pattern.length && rule.allow)
+        ) {
+          match = rule;
+        }
+      }
+    }
+
+    if (!match) return { allowed: true, rule: null };
+
+    return {
+      allowed: match.allow,
+      rule: `${match.allow ? 'Allow' : 'Disallow'}: ${match.pattern}`
+    };
+  }
+
+  isAllowed(url, userAgent) {
+    return this.check(url, userAgent).allowed;
+  }
+
+  /**
+   * Crawl-delay in seconds for the user agent, or null if none is set
+   */
+  getCrawlDelay(userAgent) {
+    const delays = this.findGroups(userAgent)
+      .map(group => group.crawlDelay)
+      .filter(delay => delay !== null);
+
+    return delays.length > 0 ? Math.max(...delays) : null;
+  }
+}
+
+function decodeURIComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * "ArticleBot/1.0 (+https://...)" -> "articlebot"
+ */
+function productToken(value) {
+  return String(value).trim().split(/[/\s]/)[0].toLowerCase();
+}
+
+export default RobotsTxt;
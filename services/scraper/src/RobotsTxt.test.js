@@ -0,0 +1,33 @@
+import RobotsTxt from './RobotsTxt.js';
+
+const robots = RobotsTxt.parse([
+  'User-agent: bot',
+  'Disallow: /',
+  '',
+  'User-agent: ArticleBot',
+  'Disallow: /private/',
+  '',
+  'User-agent: *',
+  'Disallow: /admin/',
+  'Crawl-delay: 5'
+].join('\n'));
+
+describe('RobotsTxt', () => {
+  test('matches the whole product token, ignoring case and version', () => {
+    expect(robots.check('https://news.example/story', 'articlebot/2.0 (+https://example.com)').allowed).toBe(true);
+    expect(robots.check('https://news.example/private/story', 'ArticleBot/1.0').allowed).toBe(false);
+    expect(robots.check('https://news.example/story', 'bot/1.0').allowed).toBe(false);
+  });
+
+  test('a group for a shorter token does not apply to a longer one', () => {
+    const generic = RobotsTxt.parse('User-agent: bot\nDisallow: /\n\nUser-agent: *\nDisallow: /admin/');
+    expect(generic.check('https://news.example/story', 'ArticleBot/1.0')).toEqual({ allowed: true, rule: null });
+    expect(generic.check('https://news.example/admin/', 'ArticleBot/1.0').allowed).toBe(false);
+  });
+
+  test('falls back to the * group', () => {
+    expect(robots.check('https://news.example/admin/', 'OtherCrawler/1.0')).toEqual({ allowed: false, rule: 'Disallow: /admin/' });
+    expect(robots.getCrawlDelay('OtherCrawler/1.0')).toBe(5);
+    expect(robots.getCrawlDelay('ArticleBot/1.0')).toBeNull();
+  });
+});
@@ -0,0 +1,195 @@
+import { gunzipSync } from 'zlib';
+import { load } from 'cheerio';
+import { matchesPathPatterns } from './utils/url-patterns.js';
+import logger from './utils/logger.js';
+
+const SITEMAP_ACCEPT = 'application/xml, text/xml;q=0.9, */*;q=0.5';
+
+/**
+ * Discovers article URLs from sitemap.xml files and sitemap indexes
+ */
+class SitemapDiscovery {
+  constructor(scraper, config = {}) {
+    this.scraper = scraper;
+    this.config = {
+      maxSitemaps: 20,
+      maxUrls: 1000,
+      ...config
+    };
+  }
+
+  /**
+   * Work out which sitemaps to start from. An explicit .xml URL is used
+   * directly; otherwise robots.txt Sitemap lines, then /sitemap.xml.
+   */
+  async findSitemaps(url) {
+    const { pathname, origin } = new URL(url);
+
+    if (/\.xml(\.gz)?$/i.test(pathname)) {
+      return [url];
+    }
+
+    const robots = await this.scraper.checkRobotsTxt(origin);
+    if (robots.sitemaps.length > 0) {
+      return robots.sitemaps;
+    }
+
+    return [new URL('/sitemap.xml', origin).href];
+  }
+
+  async fetchSitemap(url) {
+    // Sitemap indexes can point at other hosts, so every sitemap is checked
+    const decision = await this.scraper.policy.check(url, 'sitemap');
+    if (!decision.allowed) {
+      throw new Error(`Blocked by publisher policy (${decision.reason})`);
+    }
+
+    const permission = await this.scraper.checkRobotsPermission(url);
+    if (!permission.allowed) {
+      throw new Error('Blocked by robots.txt');
+    }
+
+    this.scraper.scheduler.setCrawlDelay(url, permission.crawlDelay);
+    const data = await this.scraper.fetchUrl(url, 0, {
+      accept: SITEMAP_ACCEPT,
+      responseType: 'arraybuffer'
+    });
+
+    const buffer = Buffer.from(data);
+    // Sitemaps are often served gzipped without a Content-Encoding header
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return gunzipSync(buffer).toString('utf8');
+    }
+    return buffer.toString('utf8');
+  }
+
+  /**
+   * Parse a sitemap or sitemap index
+   * @returns {Object} { sitemaps: [url], urls: [{ url, lastmod, title }] }
+   */
+  parseSitemap(xml) {
+    const $ = load(xml, { xml: true });
+    const sitemaps = [];
+    const urls = [];
+
+    $('sitemapindex > sitemap').each((i, elem) => {
+      const loc = $(elem).children('loc').text().trim();
+      if (loc) sitemaps.push(loc);
+    });
+
+    $('urlset > url').each((i, elem) => {
+      const entry = $(elem);
+      const loc = entry.children('loc').text().trim();
+      if (!loc) return;
+
+      // Google News sitemaps carry a publication date and title
+      const news = entry.children('news\\:news');
+      const lastmod = entry.children('lastmod').text().trim() ||
+        news.children('news\\:publication_date').text().trim() ||
+        null;
+
+      urls.push({
+        url: loc,
+        lastmod,
+        title: news.children('news\\:title').text().trim() || null
+      });
+    });
+
+    return { sitemaps, urls };
+  }
+
+  /**
+   * Entries without a lastmod can't be placed in time, so they pass
+   */
+  inWindow(lastmod, since, until) {
+    if (!since && !until) return true;
+    if (!lastmod) return true;
+
+    const time = Date.parse(lastmod);
+    if (isNaN(time)) return false;
+    if (since && time < Date.parse(since)) return false;
+    if (until && time > Date.parse(until)) return false;
+    return true;
+  }
+
+  /**
+   * Walk sitemaps for a site and return URLs that pass the filters
+   * @param {Object} options - { url, include, exclude, since, until, limit, filter }
+   *   filter is an optional async (entry) => boolean applied after the others
+   * @returns {Object} { sitemapsRead, totalFound, urls, blocked, errors }, with
+   *   blockedByPolicy set (and nothing fetched) if the site itself is refused
+   */
+  async discover({ url, include = [], exclude = [], since = null, until = null, limit = this.config.maxUrls, filter = null }) {
+    const decision = await this.scraper.policy.check(url, 'sitemap');
+    if (!decision.allowed) {
+      return {
+        blockedByPolicy: true,
+        sitemapsRead: [],
+        totalFound: 0,
+        urls: [],
+        blocked: [{ url, reason: 'policy', policy: decision.reason, publisher: decision.publisher }],
+        errors: []
+      };
+    }
+
+    const queue = await this.findSitemaps(url);
+    const visited = new Set();
+    const seenUrls = new Set();
+    const matches = [];
+    const blocked = [];
+    const errors = [];
+    let totalFound = 0;
+
+    while (queue.length > 0 && visited.size < this.config.maxSitemaps && matches.length < limit) {
+      const sitemapUrl = queue.shift();
+      if (visited.has(sitemapUrl)) continue;
+      visited.add(sitemapUrl);
+
+      let parsed;
+      try {
+        parsed = this.parseSitemap(await this.fetchSitemap(sitemapUrl));
+      } catch (error) {
+        logger.warn(`Failed to read sitemap ${sitemapUrl}: ${error.message}`);
+        errors.push({ sitemap: sitemapUrl, error: error.message });
+        continue;
+      }
+
+      queue.push(...parsed.sitemaps);
+      totalFound += parsed.urls.length;
+
+      for (const entry of parsed.urls) {
+        if (matches.length >= limit) break;
+        if (seenUrls.has(entry.url)) continue;
+        seenUrls.add(entry.url);
+
+        try {
+          if (!matchesPathPatterns(entry.url, include, exclude)) continue;
+        } catch {
+          continue;
+        }
+        if (!this.inWindow(entry.lastmod, since, until)) continue;
+        if (filter && !(await filter(entry))) continue;
+
+        const permission = await this.scraper.checkRobotsPermission(entry.url);
+        if (!permission.allowed) {
+          blocked.push({ url: entry.url, reason: 'robots', rule: permission.rule });
+          continue;
+        }
+
+        matches.push(entry);
+      }
+    }
+
+    logger.info(`Sitemap discovery for ${url}: ${matches.length} matching URLs from ${visited.size} sitemaps`);
+
+    return {
+      sitemapsRead: Array.from(visited),
+      totalFound,
+      urls: matches,
+      blocked,
+      errors
+    };
+  }
+}
+
+export default SitemapDiscovery;
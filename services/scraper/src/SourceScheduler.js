@@ -0,0 +1,270 @@
+import { v4 as uuidv4 } from 'uuid';
+import { nextRunAt } from './utils/schedule.js';
+import { matchesPathPatterns } from './utils/url-patterns.js';
+import { saveScrapeResults } from './utils/scrape-results.js';
+import logger from './utils/logger.js';
+
+const DISCOVERY_METHODS = ['feed', 'sitemap', 'seeds'];
+
+/**
+ * In-process scheduler that crawls registered sources on their schedule
+ * and records a run history entry for every crawl.
+ */
+class SourceScheduler {
+  constructor({ scraper, articleStorage, sourceStorage, feedStorage, feedIngester, sitemapDiscovery }, config = {}) {
+    this.scraper = scraper;
+    this.articleStorage = articleStorage;
+    this.sourceStorage = sourceStorage;
+    this.feedStorage = feedStorage;
+    this.feedIngester = feedIngester;
+    this.sitemapDiscovery = sitemapDiscovery;
+    this.config = {
+      enabled: process.env.SOURCE_SCHEDULER_ENABLED !== 'false',
+      tickInterval: parseInt(process.env.SOURCE_SCHEDULER_INTERVAL) || 60 * 1000,
+      ...config
+    };
+    this.timer = null;
+    this.ticking = false;
+    this.running = new Set(); // sourceIds currently being crawled
+  }
+
+  /**
+   * Validate a source definition
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateSource(source) {
+    if (!source.name) return 'name is required';
+
+    try {
+      new URL(source.baseUrl);
+    } catch {
+      return 'baseUrl must be a valid URL';
+    }
+
+    if (!DISCOVERY_METHODS.includes(source.discovery)) {
+      return `discovery must be one of: ${DISCOVERY_METHODS.join(', ')}`;
+    }
+
+    if (source.discovery === 'feed' && !source.feedUrl) {
+      return 'feedUrl is required for feed sources';
+    }
+
+    if (source.discovery === 'seeds' && (!Array.isArray(source.seedUrls) || source.seedUrls.length === 0)) {
+      return 'seedUrls array is required for seed list sources';
+    }
+
+    if (!Array.isArray(source.allowedPaths) || !Array.isArray(source.excludedPaths)) {
+      return 'allowedPaths and excludedPaths must be arrays of path patterns';
+    }
+
+    // nextRunAt also rejects well-formed schedules that never fire ("0 0 31 2 *")
+    try {
+      nextRunAt(source.schedule);
+    } catch (error) {
+      return `Invalid schedule: ${error.message}`;
+    }
+
+    return null;
+  }
+
+  start() {
+    if (!this.config.enabled || this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.config.tickInterval);
+    logger.info(`Source scheduler started (checking every ${this.config.tickInterval}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run every enabled source that is due. Sources run one at a time; the
+   * host scheduler already parallelises requests within a run.
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const now = new Date().toISOString();
+      const sources = await this.sourceStorage.getAllSources();
+      const due = sources.filter(source =>
+        source.enabled && source.nextRunAt && source.nextRunAt <= now && !this.running.has(source.id)
+      );
+
+      for (const source of due) {
+        try {
+          await this.runSource(source, 'schedule');
+        } catch (error) {
+          logger.error(`Scheduled run of source ${source.id} failed:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error('Source scheduler tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  isRunning(sourceId) {
+    return this.running.has(sourceId);
+  }
+
+  /**
+   * Crawl a source once and record the run
+   * @param {Object} source - Stored source record
+   * @param {string} trigger - "schedule" or "manual"
+   * @returns {Object} The completed run record
+   */
+  async runSource(source, trigger = 'manual') {
+    if (this.running.has(source.id)) {
+      throw new Error('Source is already running');
+    }
+    this.running.add(source.id);
+
+    const run = {
+      id: uuidv4(),
+      sourceId: source.id,
+      sourceName: source.name,
+      trigger,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      discovered: 0,
+      newArticles: 0,
+      updatedArticles: 0,
+      articleIds: [],
+      blocked: 0,
+      errors: []
+    };
+
+    logger.info(`Running source ${source.id} (${source.name}) via ${source.discovery}`);
+
+    try {
+      await this.sourceStorage.saveRun(run);
+
+      const summary = await this.crawl(source);
+      run.discovered = summary.discovered;
+      run.newArticles = summary.newCount;
+      run.updatedArticles = summary.updatedCount;
+      run.articleIds = summary.articles.map(article => article.id);
+      run.blocked = summary.blocked.length;
+      run.errors = summary.errors;
+      run.status = 'completed';
+    } catch (error) {
+      logger.error(`Source ${source.id} run failed:`, error);
+      run.status = 'failed';
+      run.errors.push({ error: error.message });
+    } finally {
+      run.endedAt = new Date().toISOString();
+      this.running.delete(source.id);
+    }
+
+    await this.sourceStorage.saveRun(run);
+
+    // Reload in case the source was edited or deleted during the run
+    const current = await this.sourceStorage.getSource(source.id);
+    if (current) {
+      await this.sourceStorage.saveSource({
+        ...current,
+        lastRunAt: run.startedAt,
+        lastRunStatus: run.status,
+        nextRunAt: nextRunAt(current.schedule)
+      });
+    }
+
+    logger.info(`Source ${source.id} run ${run.status}: ${run.newArticles} new articles, ${run.errors.length} errors`);
+    return run;
+  }
+
+  async crawl(source) {
+    const include = source.allowedPaths || [];
+    const exclude = source.excludedPaths || [];
+    const limit = source.maxArticlesPerRun;
+
+    if (source.discovery === 'feed') {
+      const feed = await this.findOrCreateFeed(source);
+      const result = await this.feedIngester.pollFeed(feed, { limit, include, exclude });
+      return {
+        discovered: result.newEntries,
+        newCount: result.newCount,
+        updatedCount: result.updatedCount,
+        articles: result.articles,
+        blocked: result.blocked,
+        errors: result.errors
+      };
+    }
+
+    let urls;
+    let blocked = [];
+    let errors = [];
+
+    if (source.discovery === 'sitemap') {
+      const since = source.lastRunAt || null;
+      const discovery = await this.sitemapDiscovery.discover({
+        url: source.sitemapUrl || source.baseUrl,
+        include,
+        exclude,
+        limit,
+        filter: since ? entry => this.isDue(entry, since) : null
+      });
+      urls = discovery.urls.map(entry => entry.url);
+      blocked = discovery.blocked;
+      errors = discovery.errors;
+    } else {
+      urls = source.seedUrls
+        .filter(url => matchesPathPatterns(url, include, exclude))
+        .slice(0, limit);
+    }
+
+    const results = await this.scraper.scrapeBatch(urls);
+    const summary = await saveScrapeResults(this.articleStorage, results, { sourceId: source.id });
+
+    return {
+      discovered: urls.length,
+      newCount: summary.newCount,
+      updatedCount: summary.updatedCount,
+      // Unchanged pages are not part of this run's output
+      articles: summary.articles.filter((article, i) => summary.outcomes[i].status !== 'unchanged'),
+      blocked: [...blocked, ...summary.blocked],
+      errors: [...errors, ...summary.errors]
+    };
+  }
+
+  /**
+   * After the first run, a sitemap entry is crawled again if its lastmod is
+   * after the previous run, or if it isn't stored yet: entries with no
+   * lastmod are matched on URL, and pages that failed last time get retried
+   */
+  async isDue(entry, since) {
+    if (entry.lastmod && Date.parse(entry.lastmod) >= Date.parse(since)) return true;
+    return !(await this.articleStorage.findExistingArticle({ url: entry.url }));
+  }
+
+  async findOrCreateFeed(source) {
+    const existing = await this.feedStorage.findFeedByUrl(source.feedUrl);
+    if (existing) return existing;
+
+    const feed = {
+      id: uuidv4(),
+      url: source.feedUrl,
+      name: source.name,
+      title: null,
+      format: null,
+      sourceId: source.id,
+      createdAt: new Date().toISOString(),
+      lastPolledAt: null,
+      lastError: null,
+      seenEntries: []
+    };
+
+    return this.feedStorage.saveFeed(feed);
+  }
+}
+
+export default SourceScheduler;
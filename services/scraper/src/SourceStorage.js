@@ -0,0 +1,152 @@
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from './utils/logger.js';
+
+// Create __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Persists the source registry and the history of source crawl runs
+ */
+class SourceStorage {
+  constructor() {
+    const projectRoot = join(__dirname, '../../..');
+    this.sourcesDir = join(projectRoot, 'data', 'sources');
+    this.runsDir = join(projectRoot, 'data', 'source-runs');
+    this.ensureDataDir();
+  }
+
+  async ensureDataDir() {
+    try {
+      await fs.mkdir(this.sourcesDir, { recursive: true });
+      await fs.mkdir(this.runsDir, { recursive: true });
+    } catch (error) {
+      logger.error('Failed to create sources directory:', error);
+    }
+  }
+
+  getSourcePath(id) {
+    return join(this.sourcesDir, `source-${id}.json`);
+  }
+
+  getRunPath(id) {
+    return join(this.runsDir, `run-${id}.json`);
+  }
+
+  async readJsonFiles(dir, prefix) {
+    const files = await fs.readdir(dir);
+    return Promise.all(
+      files
+        .filter(f => f.startsWith(prefix) && f.endsWith('.json'))
+        .map(async (file) => JSON.parse(await fs.readFile(join(dir, file), 'utf8')))
+    );
+  }
+
+  async saveSource(source) {
+    try {
+      await fs.writeFile(this.getSourcePath(source.id), JSON.stringify(source, null, 2), 'utf8');
+      logger.info(`Saved source: ${source.id}`);
+      return source;
+    } catch (error) {
+      logger.error('Failed to save source:', error);
+      throw error;
+    }
+  }
+
+  async getSource(id) {
+    try {
+      const data = await fs.readFile(this.getSourcePath(id), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.error('Failed to read source:', error);
+      throw error;
+    }
+  }
+
+  async getAllSources() {
+    try {
+      const sources = await this.readJsonFiles(this.sourcesDir, 'source-');
+      return sources.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      logger.error('Failed to get all sources:', error);
+      throw error;
+    }
+  }
+
+  async deleteSource(id) {
+    try {
+      await fs.unlink(this.getSourcePath(id));
+      logger.info(`Deleted source: ${id}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to delete source:', error);
+        throw error;
+      }
+    }
+  }
+
+  async saveRun(run) {
+    try {
+      await fs.writeFile(this.getRunPath(run.id), JSON.stringify(run, null, 2), 'utf8');
+      return run;
+    } catch (error) {
+      logger.error('Failed to save source run:', error);
+      throw error;
+    }
+  }
+
+  async getRun(id) {
+    try {
+      const data = await fs.readFile(this.getRunPath(id), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.error('Failed to read source run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List runs, newest first
+   * @param {Object} options - { sourceId, limit, offset }
+   */
+  async getRuns({ sourceId = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const runs = await this.readJsonFiles(this.runsDir, 'run-');
+      return runs
+        .filter(run => !sourceId || run.sourceId === sourceId)
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        .slice(offset, offset + limit);
+    } catch (error) {
+      logger.error('Failed to get source runs:', error);
+      throw error;
+    }
+  }
+
+  async deleteRun(id) {
+    try {
+      await fs.unlink(this.getRunPath(id));
+      logger.info(`Deleted source run: ${id}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to delete source run:', error);
+        throw error;
+      }
+    }
+  }
+
+  async deleteRunsForSource(sourceId) {
+    const runs = await this.getRuns({ sourceId, limit: Infinity });
+    await Promise.all(runs.map(run => this.deleteRun(run.id)));
+    return runs.length;
+  }
+}
+
+export default SourceStorage;
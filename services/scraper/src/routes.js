@@ -1,12 +1,56 @@
-import { Router } from 'express';
+import { Router, raw } from 'express';
 const router = Router();
 import { v4 as uuidv4 } from 'uuid';
 import ArticleScraper from './ArticleScraper.js';
 import ArticleStorage from './ArticleStorage.js';
+import FeedStorage from './FeedStorage.js';
+import FeedIngester from './FeedIngester.js';
+import SitemapDiscovery from './SitemapDiscovery.js';
+import SourceStorage from './SourceStorage.js';
+import SourceScheduler from './SourceScheduler.js';
+import ChangeNotifier from './ChangeNotifier.js';
+import PdfExtractor from './PdfExtractor.js';
+import JobStorage from './JobStorage.js';
+import JobQueue from './JobQueue.js';
+import LinkCrawler from './LinkCrawler.js';
+import ArticleImporter, { IMPORT_FORMATS } from './ArticleImporter.js';
+import { saveScrapeResults } from './utils/scrape-results.js';
+import { tablesFromBlocks } from './utils/content-blocks.js';
+import { nextRunAt } from './utils/schedule.js';
 import logger from './utils/logger.js';
 
-const scraper = new ArticleScraper();
 const storage = new ArticleStorage();
+const scraper = new ArticleScraper({
+  articleLookup: url => storage.findExistingArticle({ url })
+});
+const feedStorage = new FeedStorage();
+const feedIngester = new FeedIngester(scraper, storage, feedStorage);
+const sitemapDiscovery = new SitemapDiscovery(scraper);
+const changeNotifier = new ChangeNotifier(storage);
+const sourceStorage = new SourceStorage();
+const sourceScheduler = new SourceScheduler({
+  scraper,
+  articleStorage: storage,
+  sourceStorage,
+  feedStorage,
+  feedIngester,
+  sitemapDiscovery
+});
+const importer = new ArticleImporter(scraper);
+const jobStorage = new JobStorage();
+const crawler = new LinkCrawler(scraper);
+const jobQueue = new JobQueue({ scraper, articleStorage: storage, jobStorage, crawler });
+
+// Start crawling registered sources on their schedules
+changeNotifier.start();
+sourceScheduler.start();
+jobQueue.start().catch(error => logger.error('Failed to resume scrape jobs:', error));
+
+const SCRAPE_STATUS_MESSAGES = {
+  new: 'Article scraped successfully',
+  unchanged: 'Article already stored and unchanged',
+  updated: 'Existing article updated with new content'
+};
 
 // POST /api/scrape - Scrape a single URL
 router.post('/scrape', async (req, res) => {
@@ -22,18 +66,39 @@ router.post('/scrape', async (req, res) => {
     const result = await scraper.scrapeArticle(url);
 
     if (result.success) {
-      const articleId = uuidv4();
-      const article = {
-        id: articleId,
-        ...result.article
-      };
-
-      await storage.saveArticle(article);
+      const { article, status } = await storage.saveOrUpdateArticle(result.article);
 
       res.json({
         success: true,
+        status,
+        notModified: Boolean(result.notModified),
         article,
-        message: 'Article scraped successfully'
+        message: result.notModified ? 'Page not modified since last fetch' : SCRAPE_STATUS_MESSAGES[status]
+      });
+    } else if (result.blockedByPolicy) {
+      res.status(403).json({
+        success: false,
+        blockedByPolicy: true,
+        error: result.error,
+        reason: result.reason,
+        publisher: result.publisher,
+        url
+      });
+    } else if (result.blockedByRobots) {
+      res.status(403).json({
+        success: false,
+        blockedByRobots: true,
+        error: result.error,
+        rule: result.rule,
+        url
+      });
+    } else if (result.rejected) {
+      res.status(422).json({
+        success: false,
+        rejected: true,
+        error: result.error,
+        quality: result.quality,
+        url
       });
     } else {
       res.status(500).json({
@@ -47,7 +112,8 @@ router.post('/scrape', async (req, res) => {
   }
 });
 
-// POST /api/scrape/batch - Scrape multiple URLs
+// POST /api/scrape/batch - Queue a batch scrape; returns a job id immediately.
+// Follow progress with GET /api/jobs/:id
 router.post('/scrape/batch', async (req, res) => {
   try {
     const { urls } = req.body;
@@ -56,46 +122,243 @@ router.post('/scrape/batch', async (req, res) => {
       return res.status(400).json({ error: 'URLs array is required' });
     }
 
-    logger.info(`Batch scraping ${urls.length} URLs`);
-    
-    const results = await scraper.scrapeBatch(urls);
-
-    // Save successful articles
-    const savedArticles = [];
-    for (const result of results) {
-      if (result.success) {
-        const articleId = uuidv4();
-        const article = {
-          id: articleId,
-          ...result.article
-        };
-        await storage.saveArticle(article);
-        savedArticles.push(article);
+    if (urls.some(url => typeof url !== 'string' || !url.trim())) {
+      return res.status(400).json({ error: 'URLs must be non-empty strings' });
+    }
+
+    logger.info(`Queueing batch scrape of ${urls.length} URLs`);
+
+    const job = await jobQueue.createJob(urls);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: summariseJob(job),
+      message: `Batch queued, follow progress at /api/jobs/${job.id}`
+    });
+  } catch (error) {
+    logger.error('Batch scrape error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/crawl - Queue a link-following crawl from seed URLs. Body:
+// { seeds: [url], include, exclude (path patterns), maxDepth, maxPages }.
+// Same-site links are followed; only pages classified as articles are saved.
+// Follow progress with GET /api/jobs/:id
+router.post('/crawl', async (req, res) => {
+  try {
+    const { crawl, error } = crawler.prepare(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    logger.info(`Queueing crawl from ${crawl.seeds.length} seed(s), depth ${crawl.maxDepth}, up to ${crawl.maxPages} pages`);
+
+    const job = await jobQueue.createCrawlJob(crawl);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: summariseJob(job),
+      message: `Crawl queued, follow progress at /api/jobs/${job.id}`
+    });
+  } catch (error) {
+    logger.error('Crawl error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/upload/pdf - Ingest a local PDF. Send the file as the request body
+// (Content-Type: application/pdf); ?fileName= and ?url= (where the document
+// was published) are optional.
+router.post('/upload/pdf', raw({
+  type: ['application/pdf', 'application/octet-stream'],
+  limit: process.env.PDF_UPLOAD_LIMIT || '50mb'
+}), async (req, res) => {
+  try {
+    const { fileName = null, url = null } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'PDF file is required as the request body (Content-Type: application/pdf)' });
+    }
+
+    if (!PdfExtractor.isPdf(req.body)) {
+      return res.status(400).json({ error: 'Uploaded file is not a PDF' });
+    }
+
+    if (url) {
+      try {
+        new URL(url);
+      } catch {
+        return res.status(400).json({ error: 'url must be a valid URL' });
       }
     }
 
+    logger.info(`Ingesting uploaded PDF: ${fileName || url || `${req.body.length} bytes`}`);
+
+    const [result] = await importer.importFile(req.body, { fileName, url, format: 'pdf' });
+    if (!result.success) {
+      return res.status(422).json({
+        success: false,
+        error: result.error,
+        ...(result.rejected && { rejected: true, quality: result.quality })
+      });
+    }
+
+    const { article, status } = await storage.saveOrUpdateArticle(result.article);
+
     res.json({
       success: true,
-      totalUrls: urls.length,
-      successCount: savedArticles.length,
-      failureCount: results.filter(r => !r.success).length,
-      articles: savedArticles,
-      errors: results.filter(r => !r.success).map(r => ({
-        url: r.url,
-        error: r.error
-      }))
+      status,
+      article,
+      message: SCRAPE_STATUS_MESSAGES[status]
     });
   } catch (error) {
-    logger.error('Batch scrape error:', error);
+    logger.error('PDF upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/import - Import a saved file without fetching anything: HTML,
+// WARC (.warc/.warc.gz), PDF, or plain text/Markdown with a metadata header.
+// Send the file as the request body; ?fileName=, ?url= and ?format= are
+// optional (the format is detected from the file name and contents).
+router.post('/import', raw({
+  type: () => true,
+  limit: process.env.IMPORT_UPLOAD_LIMIT || '100mb'
+}), async (req, res) => {
+  try {
+    const { fileName = null, url = null, format = null } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'File contents are required as the request body' });
+    }
+
+    if (format && !IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+
+    if (url) {
+      try {
+        new URL(url);
+      } catch {
+        return res.status(400).json({ error: 'url must be a valid URL' });
+      }
+    }
+
+    const contentType = req.get('content-type') || '';
+    const importFormat = format || importer.detectFormat(req.body, fileName, contentType);
+
+    const results = await importer.importFile(req.body, { fileName, url, format: importFormat, contentType });
+    const summary = await saveScrapeResults(storage, results);
+
+    res.json({
+      success: true,
+      format: importFormat,
+      ...summary
+    });
+  } catch (error) {
+    logger.error('Import error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/discover/sitemap - Discover URLs from a site's sitemaps
+// Returns a preview unless "crawl" is true, in which case matches are queued
+// as a batch job; follow progress with GET /api/jobs/:id
+router.post('/discover/sitemap', async (req, res) => {
+  try {
+    const {
+      url,
+      include = [],
+      exclude = [],
+      since = null,
+      until = null,
+      limit = 100,
+      crawl = false
+    } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    if (!Array.isArray(include) || !Array.isArray(exclude)) {
+      return res.status(400).json({ error: 'include and exclude must be arrays of path patterns' });
+    }
+
+    const discovery = await sitemapDiscovery.discover({
+      url,
+      include,
+      exclude,
+      since,
+      until,
+      // A crawl is queued as one job, so it can't exceed a job's size
+      limit: crawl ? Math.min(parseInt(limit), jobQueue.config.maxUrls) : parseInt(limit)
+    });
+
+    if (discovery.blockedByPolicy) {
+      const [{ policy, publisher }] = discovery.blocked;
+      return res.status(403).json({
+        success: false,
+        blockedByPolicy: true,
+        error: `Blocked by publisher policy (${policy})`,
+        reason: policy,
+        publisher,
+        url
+      });
+    }
+
+    if (!crawl) {
+      return res.json({
+        success: true,
+        preview: true,
+        discoveredCount: discovery.urls.length,
+        ...discovery
+      });
+    }
+
+    if (discovery.urls.length === 0) {
+      return res.json({
+        success: true,
+        preview: false,
+        discoveredCount: 0,
+        jobId: null,
+        ...discovery,
+        message: 'No matching URLs to crawl'
+      });
+    }
+
+    logger.info(`Queueing crawl of ${discovery.urls.length} URLs discovered from sitemaps of ${url}`);
+
+    const job = await jobQueue.createJob(discovery.urls.map(entry => entry.url));
+
+    res.status(202).json({
+      success: true,
+      preview: false,
+      discoveredCount: discovery.urls.length,
+      sitemapsRead: discovery.sitemapsRead,
+      blockedCount: discovery.blocked.length,
+      blocked: discovery.blocked,
+      sitemapErrors: discovery.errors,
+      jobId: job.id,
+      job: summariseJob(job),
+      message: `Crawl queued, follow progress at /api/jobs/${job.id}`
+    });
+  } catch (error) {
+    logger.error('Sitemap discovery error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // GET /api/articles - List all articles
+// Optional filters: ?minQuality=&maxQuality= (score 0-100), ?quality=ok,flagged
+// (status) and ?qualityFlag=paywall (any flag from scoring)
 router.get('/articles', async (req, res) => {
   try {
     const { limit = 50, offset = 0 } = req.query;
-    const articles = await storage.getAllArticles(parseInt(limit), parseInt(offset));
+    const articles = await storage.getAllArticles(parseInt(limit), parseInt(offset), qualityFilter(req.query));
     
     res.json({
       success: true,
@@ -108,6 +371,269 @@ router.get('/articles', async (req, res) => {
   }
 });
 
+// Articles scraped before quality scoring have no score and never match a quality filter
+function qualityFilter({ minQuality, maxQuality, quality, qualityFlag }) {
+  if (minQuality === undefined && maxQuality === undefined && !quality && !qualityFlag) {
+    return null;
+  }
+
+  const statuses = quality ? String(quality).split(',').map(status => status.trim()) : null;
+  const flags = qualityFlag ? String(qualityFlag).split(',').map(flag => flag.trim()) : null;
+
+  return article => {
+    const { score, status, flags: articleFlags = [] } = article.quality || {};
+    if (typeof score !== 'number') return false;
+    if (minQuality !== undefined && score < parseFloat(minQuality)) return false;
+    if (maxQuality !== undefined && score > parseFloat(maxQuality)) return false;
+    if (statuses && !statuses.includes(status)) return false;
+    if (flags && !flags.some(flag => articleFlags.includes(flag))) return false;
+    return true;
+  };
+}
+
+// GET /api/articles/changes - Recent "article changed" events
+router.get('/articles/changes', async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    const changes = changeNotifier.getRecentChanges(parseInt(limit));
+
+    res.json({
+      success: true,
+      count: changes.length,
+      changes
+    });
+  } catch (error) {
+    logger.error('Get article changes error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revision listing entries omit the (potentially large) content
+function summariseRevision(article) {
+  return {
+    revision: article.revision || 1,
+    scrapedAt: article.scrapedAt,
+    contentHash: article.contentHash || null,
+    title: article.title,
+    contentLength: article.content?.length || 0,
+    changes: article.lastChange || null
+  };
+}
+
+// GET /api/articles/:id/revisions - Revision history of an article
+router.get('/articles/:id/revisions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const article = await storage.getArticle(id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const revisions = await storage.getRevisions(id);
+
+    res.json({
+      success: true,
+      articleId: id,
+      currentRevision: article.revision || 1,
+      revisions: [...revisions, article].map(summariseRevision)
+    });
+  } catch (error) {
+    logger.error('Get revisions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/articles/:id/revisions/:revision - Full snapshot of one revision
+router.get('/articles/:id/revisions/:revision', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revision = parseInt(req.params.revision);
+    const article = await storage.getArticle(id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const snapshot = revision === (article.revision || 1)
+      ? article
+      : await storage.getRevision(id, revision);
+
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      article: snapshot
+    });
+  } catch (error) {
+    logger.error('Get revision error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Articles stored before table extraction only have table content blocks
+function articleTables(article) {
+  return article.tables || tablesFromBlocks(article.contentBlocks || []);
+}
+
+function toCsv(table) {
+  const escape = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return [table.headers, ...table.rows]
+    .filter(Boolean)
+    .map(row => row.map(cell => escape(cell || '')).join(','))
+    .join('\n');
+}
+
+// GET /api/articles/:id/tables - Tables extracted from an article
+router.get('/articles/:id/tables', async (req, res) => {
+  try {
+    const article = await storage.getArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const tables = articleTables(article);
+
+    res.json({
+      success: true,
+      articleId: article.id,
+      count: tables.length,
+      tables
+    });
+  } catch (error) {
+    logger.error('Get article tables error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/articles/:id/tables/:index - One table; ?format=csv for CSV
+router.get('/articles/:id/tables/:index', async (req, res) => {
+  try {
+    const article = await storage.getArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const table = articleTables(article)[parseInt(req.params.index)];
+
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    if (req.query.format === 'csv') {
+      res.type('text/csv');
+      return res.send(toCsv(table));
+    }
+
+    res.json({
+      success: true,
+      articleId: article.id,
+      table
+    });
+  } catch (error) {
+    logger.error('Get article table error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/articles/:id/snapshots - Raw responses kept for an article's URL
+router.get('/articles/:id/snapshots', async (req, res) => {
+  try {
+    const article = await storage.getArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const snapshots = article.url ? await scraper.responseCache.getSnapshots(article.url) : [];
+
+    res.json({
+      success: true,
+      articleId: article.id,
+      url: article.url,
+      currentSnapshotId: article.snapshotId || null,
+      count: snapshots.length,
+      snapshots
+    });
+  } catch (error) {
+    logger.error('Get snapshots error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/articles/:id/snapshots/:snapshotId - Raw body of one snapshot
+router.get('/articles/:id/snapshots/:snapshotId', async (req, res) => {
+  try {
+    const article = await storage.getArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const stored = article.url ? await scraper.responseCache.getSnapshot(article.url, req.params.snapshotId) : null;
+
+    if (!stored) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    // Publisher HTML is served inert: no scripts, no same-origin access
+    res.set('Content-Security-Policy', 'sandbox');
+    res.type(stored.snapshot.contentType || 'application/octet-stream').send(stored.body);
+  } catch (error) {
+    logger.error('Get snapshot error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/articles/:id/reparse - Re-run the current extractors over a stored
+// snapshot (latest unless snapshotId is given) without fetching the page
+router.post('/articles/:id/reparse', async (req, res) => {
+  try {
+    const { snapshotId = null } = req.body || {};
+    const existing = await storage.getArticle(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const stored = existing.url ? await scraper.responseCache.getSnapshot(existing.url, snapshotId) : null;
+
+    if (!stored) {
+      return res.status(404).json({ error: 'No stored snapshot for this article' });
+    }
+
+    const parsed = await scraper.parseResponse(stored.body, stored.snapshot.contentType || '', existing.url);
+    if (parsed.documentType === 'html') {
+      // Later pages of a multi-page article come from their own snapshots
+      await scraper.stitchPages(parsed, scraper.decodeBody(stored.body, stored.snapshot.contentType || ''), { cachedOnly: true });
+    }
+    const { article, status } = await storage.saveOrUpdateArticle({
+      ...parsed,
+      sourceType: existing.sourceType || 'scrape',
+      rights: existing.rights || null,
+      snapshotId: stored.snapshot.id,
+      scrapedAt: stored.snapshot.fetchedAt
+    });
+
+    res.json({
+      success: true,
+      status,
+      snapshotId: stored.snapshot.id,
+      article,
+      message: status === 'updated'
+        ? 'Article re-extracted from snapshot'
+        : 'Re-extraction produced the same content and metadata'
+    });
+  } catch (error) {
+    logger.error('Reparse error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/articles/:id - Get single article
 router.get('/articles/:id', async (req, res) => {
   try {
@@ -144,4 +670,690 @@ router.delete('/articles/:id', async (req, res) => {
   }
 });
 
+// Feed records carry their full seen-entry list; report a count instead
+function summariseFeed(feed) {
+  const { seenEntries, ...rest } = feed;
+  return { ...rest, seenCount: seenEntries?.length || 0 };
+}
+
+// POST /api/feeds - Register an RSS/Atom feed
+router.post('/feeds', async (req, res) => {
+  try {
+    const { url, name } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    try {
+      new URL(url);
+    } catch {
+      return res.status(400).json({ error: 'Invalid URL' });
+    }
+
+    const existing = await feedStorage.findFeedByUrl(url);
+    if (existing) {
+      return res.status(409).json({ error: 'Feed already registered', feed: summariseFeed(existing) });
+    }
+
+    const feed = {
+      id: uuidv4(),
+      url,
+      name: name || new URL(url).hostname,
+      title: null,
+      format: null,
+      createdAt: new Date().toISOString(),
+      lastPolledAt: null,
+      lastError: null,
+      seenEntries: []
+    };
+
+    await feedStorage.saveFeed(feed);
+
+    res.status(201).json({
+      success: true,
+      feed: summariseFeed(feed),
+      message: 'Feed registered'
+    });
+  } catch (error) {
+    logger.error('Register feed error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/feeds - List registered feeds
+router.get('/feeds', async (req, res) => {
+  try {
+    const feeds = await feedStorage.getAllFeeds();
+
+    res.json({
+      success: true,
+      count: feeds.length,
+      feeds: feeds.map(summariseFeed)
+    });
+  } catch (error) {
+    logger.error('Get feeds error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/feeds/poll - Poll every registered feed
+router.post('/feeds/poll', async (req, res) => {
+  try {
+    const { limit = 20 } = req.body || {};
+    const feeds = await feedStorage.getAllFeeds();
+    const results = [];
+
+    for (const feed of feeds) {
+      try {
+        results.push(await feedIngester.pollFeed(feed, { limit: parseInt(limit) }));
+      } catch (error) {
+        results.push({ feedId: feed.id, error: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      feedCount: feeds.length,
+      newArticles: results.reduce((sum, r) => sum + (r.successCount || 0), 0),
+      results
+    });
+  } catch (error) {
+    logger.error('Poll feeds error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/feeds/:id - Get a single feed
+router.get('/feeds/:id', async (req, res) => {
+  try {
+    const feed = await feedStorage.getFeed(req.params.id);
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    res.json({
+      success: true,
+      feed: summariseFeed(feed)
+    });
+  } catch (error) {
+    logger.error('Get feed error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/feeds/:id/poll - Fetch a feed and scrape unseen entries
+router.post('/feeds/:id/poll', async (req, res) => {
+  try {
+    const { limit = 20 } = req.body || {};
+    const feed = await feedStorage.getFeed(req.params.id);
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    const result = await feedIngester.pollFeed(feed, { limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Poll feed error:', error);
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/feeds/:id - Remove a feed
+router.delete('/feeds/:id', async (req, res) => {
+  try {
+    await feedStorage.deleteFeed(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Feed deleted'
+    });
+  } catch (error) {
+    logger.error('Delete feed error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fields a client may set on a source
+const SOURCE_FIELDS = [
+  'name', 'baseUrl', 'discovery', 'feedUrl', 'sitemapUrl', 'seedUrls',
+  'schedule', 'allowedPaths', 'excludedPaths', 'maxArticlesPerRun', 'enabled'
+];
+
+function pickSourceFields(body = {}) {
+  const fields = {};
+  for (const field of SOURCE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+}
+
+// POST /api/sources - Register a source
+router.post('/sources', async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const source = {
+      id: uuidv4(),
+      feedUrl: null,
+      sitemapUrl: null,
+      seedUrls: [],
+      allowedPaths: [],
+      excludedPaths: [],
+      maxArticlesPerRun: 50,
+      enabled: true,
+      ...pickSourceFields(req.body),
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null,
+      lastRunStatus: null
+    };
+
+    const validationError = sourceScheduler.validateSource(source);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    source.nextRunAt = nextRunAt(source.schedule);
+    await sourceStorage.saveSource(source);
+
+    res.status(201).json({
+      success: true,
+      source,
+      message: 'Source registered'
+    });
+  } catch (error) {
+    logger.error('Create source error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/sources - List sources
+router.get('/sources', async (req, res) => {
+  try {
+    const sources = await sourceStorage.getAllSources();
+
+    res.json({
+      success: true,
+      count: sources.length,
+      sources: sources.map(source => ({
+        ...source,
+        running: sourceScheduler.isRunning(source.id)
+      }))
+    });
+  } catch (error) {
+    logger.error('Get sources error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/sources/:id - Get a source
+router.get('/sources/:id', async (req, res) => {
+  try {
+    const source = await sourceStorage.getSource(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    res.json({
+      success: true,
+      source: {
+        ...source,
+        running: sourceScheduler.isRunning(source.id)
+      }
+    });
+  } catch (error) {
+    logger.error('Get source error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/sources/:id - Update a source
+router.put('/sources/:id', async (req, res) => {
+  try {
+    const existing = await sourceStorage.getSource(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    const source = {
+      ...existing,
+      ...pickSourceFields(req.body),
+      updatedAt: new Date().toISOString()
+    };
+
+    const validationError = sourceScheduler.validateSource(source);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (source.schedule !== existing.schedule) {
+      source.nextRunAt = nextRunAt(source.schedule);
+    }
+
+    await sourceStorage.saveSource(source);
+
+    res.json({
+      success: true,
+      source,
+      message: 'Source updated'
+    });
+  } catch (error) {
+    logger.error('Update source error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/sources/:id - Remove a source (and optionally its run history)
+router.delete('/sources/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    await sourceStorage.deleteSource(id);
+
+    const runsDeleted = req.query.runs === 'true'
+      ? await sourceStorage.deleteRunsForSource(id)
+      : 0;
+
+    res.json({
+      success: true,
+      runsDeleted,
+      message: 'Source deleted'
+    });
+  } catch (error) {
+    logger.error('Delete source error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/sources/:id/run - Crawl a source now
+router.post('/sources/:id/run', async (req, res) => {
+  try {
+    const source = await sourceStorage.getSource(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    if (sourceScheduler.isRunning(source.id)) {
+      return res.status(409).json({ error: 'Source is already running' });
+    }
+
+    const run = await sourceScheduler.runSource(source, 'manual');
+
+    res.json({
+      success: run.status === 'completed',
+      run
+    });
+  } catch (error) {
+    logger.error('Run source error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/sources/:id/runs - Run history for a source
+router.get('/sources/:id/runs', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const runs = await sourceStorage.getRuns({
+      sourceId: req.params.id,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    logger.error('Get source runs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/runs - Run history across all sources
+router.get('/runs', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, sourceId = null } = req.query;
+    const runs = await sourceStorage.getRuns({
+      sourceId,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    logger.error('Get runs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/runs/:id - Get a single run
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await sourceStorage.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    logger.error('Get run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/runs/:id - Delete a run history entry
+router.delete('/runs/:id', async (req, res) => {
+  try {
+    await sourceStorage.deleteRun(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Run deleted'
+    });
+  } catch (error) {
+    logger.error('Delete run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Job listings omit the per-URL items
+function summariseJob(job) {
+  const { items, ...summary } = job;
+  return summary;
+}
+
+// GET /api/jobs - List scrape and crawl jobs, newest first (?status=, ?type=)
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, type, limit = 50, offset = 0 } = req.query;
+    const jobs = await jobStorage.getJobs({
+      status: status || null,
+      type: type || null,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs: jobs.map(summariseJob)
+    });
+  } catch (error) {
+    logger.error('Get jobs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/jobs/:id - Job progress with per-URL status
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    logger.error('Get job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/jobs/:id/cancel - Cancel a queued or running job
+router.post('/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== 'queued' && job.status !== 'running') {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+
+    const cancelled = await jobQueue.cancel(job);
+
+    res.json({
+      success: true,
+      job: summariseJob(cancelled),
+      message: cancelled.status === 'cancelled'
+        ? 'Job cancelled'
+        : 'Cancelling job, URLs already in progress will finish'
+    });
+  } catch (error) {
+    logger.error('Cancel job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/jobs/:id/retry - Re-queue the failed URLs of a finished job
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status === 'queued' || job.status === 'running') {
+      return res.status(409).json({ error: `Job is still ${job.status}` });
+    }
+
+    const retried = await jobQueue.retryFailed(job);
+
+    res.json({
+      success: true,
+      retried,
+      job: summariseJob(job),
+      message: retried > 0 ? `Retrying ${retried} failed URLs` : 'No failed URLs to retry'
+    });
+  } catch (error) {
+    logger.error('Retry job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/jobs/:id - Delete a finished job
+router.delete('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status === 'queued' || job.status === 'running') {
+      return res.status(409).json({ error: 'Cancel the job before deleting it' });
+    }
+
+    await jobStorage.deleteJob(job.id);
+
+    res.json({
+      success: true,
+      message: 'Job deleted'
+    });
+  } catch (error) {
+    logger.error('Delete job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/profiles - List loaded extraction profiles
+router.get('/profiles', async (req, res) => {
+  try {
+    const profiles = scraper.profiles.getAll();
+
+    res.json({
+      success: true,
+      profilesDir: scraper.profiles.profilesDir,
+      count: profiles.length,
+      profiles
+    });
+  } catch (error) {
+    logger.error('Get profiles error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/profiles/reload - Re-read profiles from the config directory
+router.post('/profiles/reload', async (req, res) => {
+  try {
+    const profiles = scraper.profiles.load();
+
+    res.json({
+      success: true,
+      count: profiles.length,
+      profiles: profiles.map(profile => profile.name)
+    });
+  } catch (error) {
+    logger.error('Reload profiles error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/profiles/test - Run a profile against a URL, posted HTML, or a
+// stored snapshot of the URL ("snapshot": true for the latest, or a snapshot
+// id) without saving anything. The profile can be given inline, by name, or
+// detected from the URL.
+router.post('/profiles/test', async (req, res) => {
+  try {
+    const { url, html, snapshot, profile: inlineProfile, profileName } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required (used to resolve links and pick a profile)' });
+    }
+
+    let profile;
+    if (inlineProfile) {
+      const validationError = scraper.profiles.validate(inlineProfile);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      profile = inlineProfile;
+    } else if (profileName) {
+      profile = scraper.profiles.getByName(profileName);
+      if (!profile) {
+        return res.status(404).json({ error: `Profile not found: ${profileName}` });
+      }
+    } else {
+      profile = scraper.profiles.findProfile(url);
+    }
+
+    let source = html;
+    if (!source && snapshot) {
+      const stored = await scraper.responseCache.getSnapshot(url, snapshot === true ? null : snapshot);
+      if (!stored) {
+        return res.status(404).json({ error: 'No stored snapshot for this URL' });
+      }
+      source = scraper.decodeBody(stored.body, stored.snapshot.contentType || '');
+    }
+    if (!source) {
+      const decision = await scraper.policy.check(url, 'profile-test');
+      if (!decision.allowed) {
+        return res.status(403).json({ success: false, blockedByPolicy: true, reason: decision.reason, publisher: decision.publisher, url });
+      }
+      const permission = await scraper.checkRobotsPermission(url);
+      if (!permission.allowed) {
+        return res.status(403).json({ success: false, blockedByRobots: true, rule: permission.rule, url });
+      }
+      source = await scraper.fetchUrl(url);
+    }
+
+    const article = scraper.parseArticle(source, url, profile || null);
+
+    res.json({
+      success: true,
+      profile: profile?.name || null,
+      fieldSources: article.fieldSources,
+      extracted: article
+    });
+  } catch (error) {
+    logger.error('Profile test error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/policy - Current publisher allow/block and licensing policy
+router.get('/policy', (req, res) => {
+  try {
+    res.json({ success: true, policy: scraper.policy.getPolicy() });
+  } catch (error) {
+    logger.error('Get policy error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/policy/reload - Re-read the policy file; an invalid file keeps
+// the current policy
+router.post('/policy/reload', (req, res) => {
+  try {
+    const policy = scraper.policy.load();
+
+    res.json({ success: true, policy });
+  } catch (error) {
+    logger.error('Reload policy error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /api/policy/check?url= - Whether a URL may be scraped, and the rights
+// that would be stored with it
+router.get('/policy/check', async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    if (!url) {
+      return res.status(400).json({ error: 'url query parameter is required' });
+    }
+
+    const decision = await scraper.policy.check(url, 'check');
+
+    res.json({ success: true, decision });
+  } catch (error) {
+    logger.error('Check policy error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/policy/decisions - Logged policy decisions, newest first
+// (?limit=, ?allowed=true|false)
+router.get('/policy/decisions', async (req, res) => {
+  try {
+    const { limit = 100, allowed } = req.query;
+    const decisions = await scraper.policy.getDecisions({
+      limit: parseInt(limit) || 100,
+      allowed: allowed === undefined ? null : allowed === 'true'
+    });
+
+    res.json({ success: true, count: decisions.length, decisions });
+  } catch (error) {
+    logger.error('Get policy decisions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,49 @@
+/**
+ * Decides whether a parsed page is an article or a page that only links to
+ * articles (section fronts, tag and author listings, pagination). Used by
+ * the link crawler, which follows links from every page but only saves
+ * articles.
+ */
+
+// Paths that are almost always listings
+const LISTING_PATH = /\/(tags?|topics?|category|categories|section|author|authors|search|archive|page)(\/|$)|[?&]page=\d/i;
+// Dated paths (/2024/05/...) or long hyphenated slugs are typical article URLs
+const ARTICLE_PATH = /\/(19|20)\d{2}\/\d{1,2}\/|\/[a-z0-9]+(-[a-z0-9]+){3,}(\.html?)?\/?$/i;
+
+// Metadata sources that only report fields for article-typed items
+const ARTICLE_MARKUP_SOURCES = ['jsonld', 'microdata'];
+
+const ARTICLE_THRESHOLD = 3;
+
+/**
+ * @param {Object} article - Article from ArticleScraper.parseArticle/parsePdf
+ * @returns {Object} { isArticle, score, reasons }
+ */
+export function classifyArticlePage(article) {
+  const reasons = [];
+  let score = 0;
+  const signal = (points, reason) => {
+    score += points;
+    reasons.push(`${points > 0 ? '+' : ''}${points} ${reason}`);
+  };
+
+  const { wordCount = 0, linkDensity = 0 } = article.quality?.metrics || {};
+  const { pathname, search } = new URL(article.url);
+  const path = `${pathname}${search}`;
+
+  if (article.documentType === 'pdf') signal(2, 'PDF document');
+  if (article.publishDate) signal(2, 'has a publish date');
+  if (ARTICLE_MARKUP_SOURCES.includes(article.fieldSources?.title)) signal(1, 'article markup');
+
+  if (wordCount >= 250) signal(2, `${wordCount} words`);
+  else if (wordCount >= 120) signal(1, `${wordCount} words`);
+  else if (wordCount < 60) signal(-2, `only ${wordCount} words`);
+
+  if (linkDensity > 0.5) signal(-2, 'mostly links');
+  else if (linkDensity < 0.25) signal(1, 'few links in body');
+
+  if (ARTICLE_PATH.test(path)) signal(1, 'article-like URL');
+  if (LISTING_PATH.test(path) || pathname === '/') signal(-2, 'listing URL');
+
+  return { isArticle: score >= ARTICLE_THRESHOLD, score, reasons };
+}
@@ -0,0 +1,56 @@
+import { createHash } from 'crypto';
+
+// Query parameters that only track the visitor and never change the page
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'igshid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'cmpid',
+  'ref', 'ref_src', 'sharetype', 'ito', 'ncid', 'ocid', 'sr_share'
+]);
+
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hsa_'];
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Normalise a URL so that different links to the same page compare equal:
+ * lowercases scheme and host, drops default ports, fragments (including
+ * "#:~:text=" highlights) and tracking parameters, and sorts the query.
+ * @param {string} url - Absolute URL
+ * @returns {string} Normalised URL
+ */
+export function normaliseUrl(url) {
+  const parsed = new URL(url.trim());
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+
+  if (
+    (parsed.protocol === 'http:' && parsed.port === '80') ||
+    (parsed.protocol === 'https:' && parsed.port === '443')
+  ) {
+    parsed.port = '';
+  }
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  parsed.search = '';
+  for (const [name, value] of params) {
+    parsed.searchParams.append(name, value);
+  }
+
+  return parsed.href;
+}
+
+/**
+ * Hash of article text with whitespace collapsed, so re-scrapes that only
+ * differ in layout whitespace hash the same
+ */
+export function contentHash(text) {
+  const normalised = String(text || '').replace(/\s+/g, ' ').trim();
+  return createHash('sha256').update(normalised).digest('hex');
+}
@@ -0,0 +1,263 @@
+/**
+ * Turns an article container into an ordered list of content blocks:
+ *   { type: 'heading', level, text }
+ *   { type: 'paragraph', text }
+ *   { type: 'quote', text }
+ *   { type: 'list', ordered, items: [text] }
+ *   { type: 'table', caption, headers: [label] | null, rows: [[cell]] }
+ *   { type: 'caption', text }
+ * and renders blocks back to plain text with paragraph breaks.
+ */
+
+const HEADINGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const INLINE = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'dfn', 'em', 'i', 'kbd',
+  'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var',
+  'font', 'label'
+]);
+const SKIPPED = new Set(['img', 'svg', 'picture', 'video', 'audio', 'iframe', 'noscript', 'button', 'input', 'select', 'form', 'template']);
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text of an element with <br> turned into spaces, so words either side
+ * of a line break don't run together
+ */
+function elementText($, elem) {
+  const clone = $(elem).clone();
+  clone.find('br').replaceWith(' ');
+  clone.find('script, style').remove();
+  return cleanText(clone.text());
+}
+
+function extractList($, elem) {
+  const items = [];
+  $(elem).children('li').each((i, li) => {
+    const text = elementText($, li);
+    if (text) items.push(text);
+  });
+  return items;
+}
+
+const MAX_SPAN = 100;
+
+function spanOf($, cell, attr) {
+  const span = parseInt($(cell).attr(attr)) || 1;
+  return Math.min(Math.max(span, 1), MAX_SPAN);
+}
+
+/**
+ * Tables used for page layout rather than data: marked presentational,
+ * wrapping other tables, or a single column of block content
+ */
+function isLayoutTable($, elem) {
+  const table = $(elem);
+  if (/^(presentation|none)$/i.test(table.attr('role') || '')) return true;
+  if (table.find('table').length) return true;
+
+  const widest = Math.max(0, ...table.find('tr').toArray().map(tr => $(tr).children('th, td').length));
+  return widest <= 1 && table.find('p, div, h1, h2, h3, h4, h5, h6, ul, ol').length > 0;
+}
+
+/**
+ * Read a table into a grid with colspan/rowspan expanded, so every row has
+ * a cell per column. Header rows (<thead>, or leading rows of <th> cells)
+ * are merged into one label per column, "Group / Column" for stacked headers.
+ * @returns {Object|null} { caption, headers, rows }
+ */
+function extractTable($, elem) {
+  const grid = [];
+  const headerFlags = [];
+  const carried = []; // column -> { text, header, remaining } from rowspans
+
+  $(elem).find('tr').each((i, tr) => {
+    // Skip rows belonging to a nested table
+    if ($(tr).closest('table')[0] !== elem) return;
+
+    const row = [];
+    let col = 0;
+    const fillCarried = () => {
+      while (carried[col]?.remaining > 0) {
+        row[col] = carried[col];
+        carried[col].remaining--;
+        col++;
+      }
+    };
+
+    const inHead = $(tr).parent().is('thead');
+    $(tr).children('th, td').each((j, cell) => {
+      fillCarried();
+      const text = elementText($, cell);
+      const header = inHead || cell.name === 'th';
+      const rowspan = spanOf($, cell, 'rowspan');
+
+      for (let k = 0; k < spanOf($, cell, 'colspan'); k++) {
+        row[col] = { text, header };
+        carried[col] = { text, header, remaining: rowspan - 1 };
+        col++;
+      }
+    });
+
+    for (let c = col; c < carried.length; c++) {
+      if (carried[c]?.remaining > 0) {
+        row[c] = carried[c];
+        carried[c].remaining--;
+      }
+    }
+
+    const cells = Array.from(row, cell => cell || { text: '', header: false });
+    if (cells.some(cell => cell.text)) {
+      grid.push(cells.map(cell => cell.text));
+      headerFlags.push(inHead || cells.every(cell => cell.header || !cell.text));
+    }
+  });
+
+  if (grid.length === 0) return null;
+
+  const width = Math.max(...grid.map(row => row.length));
+  const rows = grid.map(row => [...row, ...Array(width - row.length).fill('')]);
+
+  // Header rows lead the table; a table of nothing but headers has none
+  let headerCount = 0;
+  while (headerCount < rows.length - 1 && headerFlags[headerCount]) headerCount++;
+
+  const headers = headerCount === 0 ? null : Array.from({ length: width }, (_, c) => {
+    const labels = [];
+    for (const row of rows.slice(0, headerCount)) {
+      if (row[c] && labels[labels.length - 1] !== row[c]) labels.push(row[c]);
+    }
+    return labels.join(' / ');
+  });
+
+  return {
+    caption: cleanText($(elem).children('caption').text()) || null,
+    headers,
+    rows: rows.slice(headerCount)
+  };
+}
+
+/**
+ * Extract content blocks from a container element
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio} container - Article container
+ * @returns {Array} Ordered content blocks
+ */
+export function extractBlocks($, container) {
+  const blocks = [];
+  let inline = [];
+
+  // Loose text and inline elements between blocks form a paragraph
+  const flush = () => {
+    const text = cleanText(inline.join(' '));
+    if (text) blocks.push({ type: 'paragraph', text });
+    inline = [];
+  };
+
+  const walk = (node) => {
+    if (node.type === 'text') {
+      inline.push(node.data);
+      return;
+    }
+    if (node.type !== 'tag') return;
+
+    const tag = node.name.toLowerCase();
+
+    if (SKIPPED.has(tag)) return;
+
+    if (tag === 'br') {
+      // A double <br> is how some sites separate paragraphs
+      if (node.next?.name === 'br' || node.prev?.name === 'br') {
+        flush();
+      } else {
+        inline.push(' ');
+      }
+      return;
+    }
+
+    if (INLINE.has(tag)) {
+      inline.push(elementText($, node));
+      return;
+    }
+
+    flush();
+
+    if (HEADINGS.has(tag)) {
+      const text = elementText($, node);
+      if (text) blocks.push({ type: 'heading', level: parseInt(tag[1]), text });
+    } else if (tag === 'p') {
+      const text = elementText($, node);
+      if (text) blocks.push({ type: 'paragraph', text });
+    } else if (tag === 'blockquote') {
+      const text = elementText($, node);
+      if (text) blocks.push({ type: 'quote', text });
+    } else if (tag === 'ul' || tag === 'ol') {
+      const items = extractList($, node);
+      if (items.length) blocks.push({ type: 'list', ordered: tag === 'ol', items });
+    } else if (tag === 'table' && !isLayoutTable($, node)) {
+      const table = extractTable($, node);
+      if (table) blocks.push({ type: 'table', ...table });
+    } else if (tag === 'figcaption') {
+      const text = elementText($, node);
+      if (text) blocks.push({ type: 'caption', text });
+    } else if (tag === 'pre') {
+      const text = $(node).text().trim();
+      if (text) blocks.push({ type: 'paragraph', text });
+    } else {
+      // Generic container (div, section, figure, ...): descend
+      for (const child of node.children || []) {
+        walk(child);
+      }
+      flush();
+    }
+  };
+
+  // Walk the container itself, so a profile pointing straight at a table
+  // or list still yields a table or list block
+  for (const node of $(container).toArray()) {
+    walk(node);
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Tables from a list of content blocks, numbered in document order
+ * @returns {Array} { index, caption, headers, rows, rowCount, columnCount, page? }
+ */
+export function tablesFromBlocks(blocks) {
+  return blocks
+    .filter(block => block.type === 'table')
+    .map((block, index) => ({
+      index,
+      caption: block.caption,
+      headers: block.headers || null,
+      rows: block.rows,
+      rowCount: block.rows.length,
+      columnCount: Math.max(block.headers?.length || 0, ...block.rows.map(row => row.length)),
+      ...(block.page && { page: block.page })
+    }));
+}
+
+/**
+ * Render blocks as plain text, one blank line between blocks
+ */
+export function renderPlainText(blocks) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'list':
+        return block.items
+          .map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${item}`)
+          .join('\n');
+      case 'table':
+        return [block.caption, block.headers, ...block.rows]
+          .filter(Boolean)
+          .map(row => (Array.isArray(row) ? row.join(' | ') : row))
+          .join('\n');
+      default:
+        return block.text;
+    }
+  }).join('\n\n');
+}
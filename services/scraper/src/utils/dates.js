@@ -0,0 +1,336 @@
+/**
+ * Publish date parsing. Scraped dates come in every shape: ISO strings,
+ * RFC 2822, "05 Dec 2025", "5. Dezember 2025", "2025年12月5日",
+ * "3 hours ago", bare timestamps, or only in the URL path. Everything is
+ * normalised to ISO-8601 UTC.
+ */
+
+// Month names and abbreviations (en, fr, de, es, it, pt, nl), lower case and unaccented
+const MONTHS = {
+  1: ['january', 'jan', 'janvier', 'janv', 'januar', 'janner', 'enero', 'ene', 'gennaio', 'gen', 'janeiro', 'januari'],
+  2: ['february', 'feb', 'fevrier', 'fevr', 'fev', 'februar', 'febrero', 'febbraio', 'fevereiro', 'februari'],
+  3: ['march', 'mar', 'mars', 'marz', 'maerz', 'marzo', 'marco', 'maart', 'mrt'],
+  4: ['april', 'apr', 'avril', 'avr', 'abril', 'abr', 'aprile'],
+  5: ['may', 'mai', 'mayo', 'maggio', 'mag', 'maio', 'mei'],
+  6: ['june', 'jun', 'juin', 'juni', 'junio', 'giugno', 'giu', 'junho'],
+  7: ['july', 'jul', 'juillet', 'juil', 'juli', 'julio', 'luglio', 'lug', 'julho'],
+  8: ['august', 'aug', 'aout', 'agosto', 'ago', 'augustus'],
+  9: ['september', 'sep', 'sept', 'septembre', 'septiembre', 'settembre', 'set', 'setembro'],
+  10: ['october', 'oct', 'octobre', 'oktober', 'okt', 'octubre', 'ottobre', 'ott', 'outubro', 'out'],
+  11: ['november', 'nov', 'novembre', 'noviembre', 'novembro'],
+  12: ['december', 'dec', 'decembre', 'dezember', 'dez', 'diciembre', 'dic', 'dicembre', 'dezembro']
+};
+
+const MONTH_LOOKUP = new Map(
+  Object.entries(MONTHS).flatMap(([month, names]) => names.map(name => [name, parseInt(month)]))
+);
+
+const MONTH_PATTERN = [...MONTH_LOOKUP.keys()].sort((a, b) => b.length - a.length).join('|');
+
+// Offsets in minutes for common zone abbreviations. CST is taken as US Central;
+// the generic US zones (ET, CT, MT, PT) as standard time.
+const ZONES = {
+  utc: 0, gmt: 0, z: 0, wet: 0, bst: 60, cet: 60, wat: 60, cest: 120, eet: 120, cat: 120, sast: 120,
+  eest: 180, msk: 180, eat: 180, gst: 240, pkt: 300, ist: 330, ict: 420, wib: 420, sgt: 480, hkt: 480,
+  awst: 480, pht: 480, jst: 540, kst: 540, acst: 570, aest: 600, aedt: 660, nzst: 720, nzdt: 780,
+  brt: -180, est: -300, edt: -240, et: -300, cst: -360, cdt: -300, ct: -360, mst: -420, mdt: -360,
+  mt: -420, pst: -480, pdt: -420, pt: -480, akst: -540, akdt: -480, hst: -600
+};
+
+// Where bylines carry on after the date: "December 5, 2025 3:15 PM | Reuters"
+const TAIL_SEPARATOR = /\s*(?:[|•·]|\s[-–—]\s)/;
+
+const RELATIVE_UNITS = {
+  second: 1000, sec: 1000, minute: 60 * 1000, min: 60 * 1000, hour: 60 * 60 * 1000, hr: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000
+};
+
+function stripAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function validDate(year, month, day) {
+  if (year < 1990 || year > new Date().getUTCFullYear() + 1) return false;
+  if (month < 1 || month > 12 || day < 1) return false;
+  const check = new Date(Date.UTC(year, month - 1, day));
+  return check.getUTCMonth() === month - 1 && check.getUTCDate() === day;
+}
+
+/**
+ * Parse a time-of-day and zone suffix such as "10:30", "8.15 pm", "10:30:00 +08:00", "2pm SGT"
+ * @returns {{hours, minutes, seconds, offset}|null} offset in minutes, or null if no zone given
+ */
+function parseTime(text) {
+  const rest = text.trim();
+  if (!rest) return { hours: 0, minutes: 0, seconds: 0, offset: null, hasTime: false };
+
+  const match = rest.match(
+    /^(?:at\s+|a\s+|um\s+|,\s*|-\s*|\|\s*)?(\d{1,2})(?:[:.h](\d{2}))?(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?\s*(?:uhr)?\s*(?:\(?\s*(z|[a-z]{2,5})?\s*([+-]\d{1,2}(?::?\d{2})?)?\s*\)?)?$/i
+  );
+  if (!match) return null;
+
+  const [, h, m, s, meridiem, zone, offsetText] = match;
+  // A bare number with no minutes or am/pm isn't a time
+  if (m === undefined && !meridiem) return null;
+
+  let hours = parseInt(h);
+  if (meridiem) {
+    const pm = meridiem.toLowerCase().startsWith('p');
+    if (hours === 12) hours = pm ? 12 : 0;
+    else if (pm) hours += 12;
+  }
+  if (hours > 23) return null;
+
+  let offset = null;
+  if (zone) {
+    const known = ZONES[zone.toLowerCase()];
+    if (known === undefined) return null;
+    offset = known;
+  }
+  if (offsetText) {
+    const digits = offsetText.replace(/[+:-]/g, '');
+    const offsetHours = parseInt(digits.length > 2 ? digits.slice(0, -2) : digits);
+    const offsetMinutes = digits.length > 2 ? parseInt(digits.slice(-2)) : 0;
+    const sign = offsetText.startsWith('-') ? -1 : 1;
+    offset = (offset || 0) + sign * (offsetHours * 60 + offsetMinutes);
+  }
+
+  return {
+    hours,
+    minutes: parseInt(m || 0),
+    seconds: parseInt(s || 0),
+    offset,
+    hasTime: true
+  };
+}
+
+function build(year, month, day, time, flags = {}) {
+  if (!validDate(year, month, day) || !time) return null;
+
+  const ms = Date.UTC(year, month - 1, day, time.hours, time.minutes, time.seconds) - (time.offset || 0) * 60 * 1000;
+
+  return {
+    iso: new Date(ms).toISOString(),
+    hasTime: time.hasTime,
+    hasZone: time.offset !== null,
+    ...flags
+  };
+}
+
+/**
+ * Date with whatever followed it. A tail that isn't a clean time (a source
+ * name, "4 min read") doesn't discard the date: the time before a separator
+ * is used if there is one, otherwise the date alone, flagged `loose`.
+ */
+function buildWithTail(year, month, day, tail, flags = {}) {
+  const time = parseTime(tail);
+  if (time) return build(year, month, day, time, flags);
+
+  const beforeSeparator = parseTime(tail.split(TAIL_SEPARATOR)[0]);
+  const fallback = beforeSeparator || { hours: 0, minutes: 0, seconds: 0, offset: null, hasTime: false };
+  return build(year, month, day, fallback, { ...flags, loose: true });
+}
+
+function parseIso(text) {
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2}|[+-]\d{2})?)?$/i);
+  if (!match) return null;
+
+  const [, y, mo, d, h, mi, s, zone] = match;
+  let offset = null;
+  if (zone) {
+    if (zone.toUpperCase() === 'Z') {
+      offset = 0;
+    } else {
+      const digits = zone.replace(/[+:-]/g, '');
+      offset = (zone.startsWith('-') ? -1 : 1) * (parseInt(digits.slice(0, 2)) * 60 + parseInt(digits.slice(2) || 0));
+    }
+  }
+
+  return build(parseInt(y), parseInt(mo), parseInt(d), {
+    hours: parseInt(h || 0),
+    minutes: parseInt(mi || 0),
+    seconds: parseInt(s || 0),
+    offset,
+    hasTime: h !== undefined
+  });
+}
+
+function parseRelative(text, reference) {
+  const lower = text.toLowerCase();
+  const ref = reference.getTime();
+  const day = RELATIVE_UNITS.day;
+
+  if (/^(just now|now|moments? ago)$/.test(lower)) {
+    return { iso: new Date(ref).toISOString(), hasTime: true, hasZone: true, relative: true };
+  }
+  if (lower === 'today') {
+    return { iso: new Date(ref).toISOString().slice(0, 10) + 'T00:00:00.000Z', hasTime: false, hasZone: false, relative: true };
+  }
+  if (lower === 'yesterday') {
+    return { iso: new Date(ref - day).toISOString().slice(0, 10) + 'T00:00:00.000Z', hasTime: false, hasZone: false, relative: true };
+  }
+
+  const match = lower.match(/^(an?|\d+)\s+(second|sec|minute|min|hour|hr|day|week)s?\s+ago$/);
+  if (!match) return null;
+
+  const amount = /^\d+$/.test(match[1]) ? parseInt(match[1]) : 1;
+  return {
+    iso: new Date(ref - amount * RELATIVE_UNITS[match[2]]).toISOString(),
+    hasTime: RELATIVE_UNITS[match[2]] < day,
+    hasZone: true,
+    relative: true
+  };
+}
+
+/**
+ * Parse a date string in any of the supported formats
+ * @param {string} raw - Date as found on the page
+ * @param {Object} options
+ * @param {Date} options.reference - "Now" for relative dates (defaults to the current time)
+ * @returns {Object|null} { iso, hasTime, hasZone, relative?, ambiguous?, loose? }
+ */
+export function parseDate(raw, { reference = new Date() } = {}) {
+  if (raw === undefined || raw === null) return null;
+
+  let text = stripAccents(String(raw))
+    .replace(/\s+/g, ' ')
+    .replace(/^(published|posted|updated|last updated|date|publie le|publie|veroffentlicht|publicado|pubblicato)(\s+on)?\s*:?\s*/i, '')
+    .trim();
+  if (!text) return null;
+
+  // Unix timestamps in seconds or milliseconds
+  if (/^\d{10}(\d{3})?$/.test(text)) {
+    const ms = text.length === 10 ? parseInt(text) * 1000 : parseInt(text);
+    const date = new Date(ms);
+    return validDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate())
+      ? { iso: date.toISOString(), hasTime: true, hasZone: true }
+      : null;
+  }
+
+  const iso = parseIso(text);
+  if (iso) return iso;
+
+  const relative = parseRelative(text, reference);
+  if (relative) return relative;
+
+  // Drop a leading weekday ("Fri, 05 Dec 2025 ...")
+  text = text.replace(/^[a-z]{3,12}\.?,\s*/i, '').replace(/(\d)(st|nd|rd|th)\b/gi, '$1');
+
+  // Chinese / Japanese: 2025年12月5日 14:30
+  let match = text.match(/^(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日\s*(.*)$/);
+  if (match) {
+    return buildWithTail(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), match[4]);
+  }
+
+  // 5 December 2025, 5. Dezember 2025, 5 de diciembre de 2025
+  match = text.match(new RegExp(`^(\\d{1,2})\\.?\\s+(?:de\\s+)?(${MONTH_PATTERN})\\.?,?\\s+(?:de\\s+)?(\\d{4})\\b,?\\s*(.*)$`, 'i'));
+  if (match) {
+    return buildWithTail(parseInt(match[3]), MONTH_LOOKUP.get(match[2].toLowerCase()), parseInt(match[1]), match[4]);
+  }
+
+  // December 5, 2025 / Dec 5 2025 10:00 AM
+  match = text.match(new RegExp(`^(${MONTH_PATTERN})\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})\\b,?\\s*(.*)$`, 'i'));
+  if (match) {
+    return buildWithTail(parseInt(match[3]), MONTH_LOOKUP.get(match[1].toLowerCase()), parseInt(match[2]), match[4]);
+  }
+
+  // 2025/12/05, 2025.12.05
+  match = text.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})\b,?\s*(.*)$/);
+  if (match) {
+    return buildWithTail(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), match[4]);
+  }
+
+  // 05/12/2025, 05.12.2025, 05-12-2025: day first unless that can't be right
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b,?\s*(.*)$/);
+  if (match) {
+    const a = parseInt(match[1]);
+    const b = parseInt(match[2]);
+    const dayFirst = a > 12 || b <= 12;
+    const result = buildWithTail(parseInt(match[3]), dayFirst ? b : a, dayFirst ? a : b, match[4]);
+    return result && { ...result, ambiguous: a <= 12 && b <= 12 && a !== b };
+  }
+
+  // Last resort: RFC 2822 and other formats the JS engine understands. A
+  // month name is required, otherwise Date.parse accepts a bare year.
+  const fallback = new RegExp(`\\b(${MONTH_PATTERN})\\b`, 'i').test(text) ? Date.parse(raw) : NaN;
+  if (!Number.isNaN(fallback)) {
+    const date = new Date(fallback);
+    if (validDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate())) {
+      return { iso: date.toISOString(), hasTime: true, hasZone: /([+-]\d{2}:?\d{2}|gmt|utc|z)\b/i.test(raw) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Date encoded in a URL path: /2025/12/05/, /2025-12-05-slug, /20251205/, /2025/12/
+ * @returns {Object|null} Parsed date, flagged with `partial` when only the month is known
+ */
+export function parseDateFromUrl(url) {
+  let path;
+  try {
+    path = new URL(url).pathname;
+  } catch {
+    return null;
+  }
+
+  const time = { hours: 0, minutes: 0, seconds: 0, offset: null, hasTime: false };
+
+  let match = path.match(/(?:^|[/_-])((?:19|20)\d{2})[/_-](\d{1,2})[/_-](\d{1,2})(?=[/_.-]|$)/);
+  if (match) {
+    return build(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), time, { raw: match[0].replace(/^[/_-]/, '') });
+  }
+
+  match = path.match(/(?:^|[/_-])((?:19|20)\d{2})(\d{2})(\d{2})(?=[/_.-]|$)/);
+  if (match) {
+    return build(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), time, { raw: match[0].replace(/^[/_-]/, '') });
+  }
+
+  match = path.match(/\/((?:19|20)\d{2})\/(\d{1,2})\//);
+  if (match) {
+    return build(parseInt(match[1]), parseInt(match[2]), 1, time, { raw: `${match[1]}/${match[2]}`, partial: true });
+  }
+
+  return null;
+}
+
+/**
+ * First recognisable date in running text, e.g. a dateline or byline
+ * @returns {Object|null} Parsed date with the matched `raw` string
+ */
+export function findDateInText(text, options = {}) {
+  const sample = stripAccents(String(text || '').slice(0, 2000));
+  const patterns = [
+    // Text often runs straight on after the year ("05 Dec 2025economy"), so only digits end a match
+    new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\.?\\s+(?:de\\s+)?(?:${MONTH_PATTERN})\\.?,?\\s+(?:de\\s+)?\\d{4}(?!\\d)`, 'i'),
+    new RegExp(`\\b(?:${MONTH_PATTERN})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}(?!\\d)`, 'i'),
+    /\b\d{4}-\d{2}-\d{2}(?!\d)/,
+    /\d{4}\s*年\s*\d{1,2}\s*月\s*\d{1,2}\s*日/
+  ];
+
+  let best = null;
+  for (const pattern of patterns) {
+    const match = sample.match(pattern);
+    if (match && (!best || match.index < best.index)) {
+      best = { index: match.index, raw: match[0] };
+    }
+  }
+
+  if (!best) return null;
+
+  const parsed = parseDate(best.raw, options);
+  return parsed && { ...parsed, raw: best.raw };
+}
+
+/**
+ * How far to trust a parsed date, given where it came from
+ * @returns {string} "high", "medium" or "low"
+ */
+export function dateConfidence(parsed, source) {
+  if (!parsed) return null;
+  if (parsed.relative || parsed.ambiguous || parsed.partial || source === 'text') return 'low';
+  if (source === 'url' || parsed.loose) return 'medium';
+  if (parsed.hasTime && !parsed.hasZone) return 'medium';
+  return 'high';
+}
@@ -0,0 +1,60 @@
+import { parseDate, findDateInText, dateConfidence } from './dates.js';
+
+const reference = new Date('2025-12-06T12:00:00Z');
+
+describe('parseDate', () => {
+  test.each([
+    ['2025-12-05T10:30:00+08:00', '2025-12-05T02:30:00.000Z'],
+    ['Fri, 05 Dec 2025 10:00:00 GMT', '2025-12-05T10:00:00.000Z'],
+    ['05 Dec 2025', '2025-12-05T00:00:00.000Z'],
+    ['5. Dezember 2025', '2025-12-05T00:00:00.000Z'],
+    ['5 de diciembre de 2025', '2025-12-05T00:00:00.000Z'],
+    ['2025年12月5日 14:30', '2025-12-05T14:30:00.000Z'],
+    ['December 5, 2025 3:15 PM ET', '2025-12-05T20:15:00.000Z'],
+    ['Dec. 5, 2025 at 3:15 p.m. ET', '2025-12-05T20:15:00.000Z'],
+    ['3 hours ago', '2025-12-06T09:00:00.000Z'],
+    ['1764892800', '2025-12-05T00:00:00.000Z']
+  ])('%s', (raw, iso) => {
+    expect(parseDate(raw, { reference })?.iso).toBe(iso);
+  });
+
+  test('keeps the date when trailing text is not a time', () => {
+    for (const raw of ['December 5, 2025 | Reuters', '5 Dec 2025 • 4 min read']) {
+      const parsed = parseDate(raw, { reference });
+      expect(parsed).toMatchObject({ iso: '2025-12-05T00:00:00.000Z', hasTime: false, loose: true });
+      expect(dateConfidence(parsed, 'meta')).toBe('medium');
+    }
+  });
+
+  test('uses a time before a separator', () => {
+    expect(parseDate('December 5, 2025 3:15 PM ET | Reuters', { reference }))
+      .toMatchObject({ iso: '2025-12-05T20:15:00.000Z', hasTime: true, loose: true });
+  });
+
+  test('flags day/month order it cannot be sure of', () => {
+    expect(parseDate('05/12/2025', { reference })).toMatchObject({ iso: '2025-12-05T00:00:00.000Z', ambiguous: true });
+    expect(parseDate('25/12/2024', { reference })).toMatchObject({ iso: '2024-12-25T00:00:00.000Z', ambiguous: false });
+  });
+
+  test('rejects text without a date', () => {
+    expect(parseDate('Reuters', { reference })).toBeNull();
+    expect(parseDate('2025', { reference })).toBeNull();
+    expect(parseDate('', { reference })).toBeNull();
+  });
+});
+
+describe('findDateInText', () => {
+  test('finds a date run together with the next word', () => {
+    expect(findDateInText('05 Dec 2025economyBy Caixin Global', { reference }))
+      .toMatchObject({ iso: '2025-12-05T00:00:00.000Z', raw: '05 Dec 2025' });
+  });
+
+  test('finds the first date in a byline', () => {
+    expect(findDateInText('By Jane Doe | December 5, 2025 | Updated December 6, 2025', { reference }))
+      .toMatchObject({ iso: '2025-12-05T00:00:00.000Z', raw: 'December 5, 2025' });
+  });
+
+  test('ignores a year followed by more digits', () => {
+    expect(findDateInText('Order 12 Dec 20251 confirmed', { reference })).toBeNull();
+  });
+});
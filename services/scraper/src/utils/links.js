@@ -0,0 +1,46 @@
+import { load } from 'cheerio';
+
+// Links to these are never pages worth crawling
+const ASSET_EXTENSIONS = /\.(jpe?g|png|gif|webp|svg|ico|css|js|json|xml|rss|atom|zip|gz|tar|mp3|mp4|mov|avi|woff2?|ttf|eot|exe|dmg|docx?|xlsx?|pptx?)$/i;
+
+/**
+ * Absolute http(s) links on a page, without fragments, duplicates or
+ * links to static assets. rel="nofollow" links are skipped.
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL, used to resolve relative links
+ * @returns {string[]} Links in document order
+ */
+export function extractLinks(html, baseUrl) {
+  const $ = load(html);
+  const base = $('base[href]').attr('href');
+  const resolveFrom = base ? new URL(base, baseUrl).href : baseUrl;
+  const links = new Set();
+
+  $('a[href]').each((i, elem) => {
+    const anchor = $(elem);
+    if (/\bnofollow\b/i.test(anchor.attr('rel') || '')) return;
+
+    let url;
+    try {
+      url = new URL(anchor.attr('href').trim(), resolveFrom);
+    } catch {
+      return;
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+    if (ASSET_EXTENSIONS.test(url.pathname)) return;
+
+    url.hash = '';
+    links.add(url.href);
+  });
+
+  return Array.from(links);
+}
+
+/**
+ * Same site means the same host, ignoring a leading "www."
+ */
+export function isSameSite(url, otherUrl) {
+  const host = value => new URL(value).hostname.replace(/^www\./, '');
+  return host(url) === host(otherUrl);
+}
@@ -0,0 +1,117 @@
+/**
+ * Finds the "next page" of an article split over several pages
+ * (?page=2, /2/, /page/2, "Next page" pagers). A link only counts as a next
+ * page if it is the same document as the first page with the expected page
+ * number, so "next article" links that also use rel=next are ignored.
+ */
+
+// Query parameters publishers use for the page number
+const PAGE_PARAMS = ['page', 'p', 'pg', 'pagenum', 'page_num', 'pagenumber'];
+
+// Path forms: /story/page/2, /story/2
+const PATH_PAGE = /\/(?:page\/)?(\d{1,3})\/?$/i;
+
+const PAGER_SELECTORS = [
+  '.pagination a[rel="next"]',
+  '.pagination .next a',
+  '.pagination a.next',
+  '.pager .next a',
+  '.pager-next a',
+  'a.next-page',
+  'a.page-next',
+  '.next-page a',
+  'a[aria-label="Next page"]',
+  'a[title="Next page"]'
+];
+
+function parse(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The page number in a URL, or null if it doesn't carry one
+ * @param {string} url
+ * @param {boolean} queryOnly - Ignore /N path forms, which on a first page
+ *   are more likely an article id than a page number
+ */
+export function pageNumber(url, queryOnly = false) {
+  const parsed = parse(url);
+  if (!parsed) return null;
+
+  for (const [name, value] of parsed.searchParams) {
+    if (PAGE_PARAMS.includes(name.toLowerCase()) && /^\d{1,3}$/.test(value)) {
+      return parseInt(value);
+    }
+  }
+
+  const match = !queryOnly && parsed.pathname.match(PATH_PAGE);
+  return match ? parseInt(match[1]) : null;
+}
+
+// The URL with any page number removed
+function documentKey(url) {
+  const parsed = parse(url);
+  if (!parsed) return null;
+
+  for (const name of Array.from(parsed.searchParams.keys())) {
+    if (PAGE_PARAMS.includes(name.toLowerCase())) parsed.searchParams.delete(name);
+  }
+  parsed.pathname = parsed.pathname.replace(PATH_PAGE, '').replace(/\/$/, '') || '/';
+  return parsed.href;
+}
+
+/**
+ * Whether `nextUrl` is page `expectedPage` of the document starting at `firstUrl`
+ */
+export function isContinuation(firstUrl, nextUrl, expectedPage) {
+  return pageNumber(nextUrl) === expectedPage && documentKey(firstUrl) === documentKey(nextUrl);
+}
+
+function resolve(href, baseUrl) {
+  if (!href) return null;
+  return parse(new URL(href.trim(), baseUrl).href)?.href || null;
+}
+
+/**
+ * Find the next page of an article. Must run before navigation is stripped
+ * from the document, since pagers often live in <nav>.
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {string} url - Page URL
+ * @param {Object} options
+ * @param {string} options.firstUrl - URL of the article's first page
+ * @param {number} options.expectedPage - Page number the next page should have
+ * @returns {string|null} Absolute URL of the next page
+ */
+export function findNextPageUrl($, url, { firstUrl = url, expectedPage = 2 } = {}) {
+  const attempt = fn => {
+    try {
+      return fn();
+    } catch {
+      return null;
+    }
+  };
+
+  const candidates = [
+    $('link[rel~="next"]').attr('href'),
+    $('a[rel~="next"]').first().attr('href'),
+    ...PAGER_SELECTORS.map(selector => $(selector).first().attr('href'))
+  ];
+
+  for (const href of candidates) {
+    const next = attempt(() => resolve(href, url));
+    if (next && isContinuation(firstUrl, next, expectedPage)) return next;
+  }
+
+  // Numbered pagers: a link to the expected page number
+  const numbered = $('a[href]').toArray()
+    .map(elem => attempt(() => resolve($(elem).attr('href'), url)))
+    .find(next => next && isContinuation(firstUrl, next, expectedPage));
+
+  return numbered || null;
+}
@@ -0,0 +1,138 @@
+/**
+ * Extraction quality scoring. Cookie walls, paywall teasers, bot checks and
+ * "enable JavaScript" pages parse without errors but are not articles; the
+ * score lets the scraper flag or reject them before they are labelled.
+ */
+
+// Phrases that mark a page as a block page rather than the article itself
+const BLOCK_PAGE_MARKERS = [
+  {
+    flag: 'paywall',
+    pattern: /subscribe (now )?to (continue|keep) reading|(article|story|content) is (only )?(available|reserved|exclusive) (to|for) (paying )?(subscribers|members)|already a (subscriber|member)\?|subscribers? only|to (read|continue reading) (the|this) (full )?(article|story)|you('ve| have) reached (your|the) (monthly )?(free )?(article )?limit|remaining free articles?/i
+  },
+  {
+    flag: 'javascript-required',
+    pattern: /(please )?(enable|turn on) javascript|javascript (is )?(required|disabled|not enabled)|requires javascript|browser does not support javascript/i
+  },
+  {
+    flag: 'cookie-wall',
+    pattern: /(accept|agree to|consent to) (all |the use of )?cookies (to|before|in order to) (continue|view|access|read)|we (and our partners )?use cookies.{0,120}(accept|consent|agree)|manage (your )?(cookie|privacy) (preferences|settings|choices)/i
+  },
+  {
+    flag: 'bot-check',
+    pattern: /verify (that )?you are (a )?human|are you a robot|checking your browser|complete the (security )?check|unusual traffic from your|access (to this page )?(has been )?denied|captcha/i
+  }
+];
+
+// Markup publishers use to fence off subscriber content
+const PAYWALL_SELECTORS = [
+  '.paywall',
+  '#paywall',
+  '[class*="paywall"]',
+  '[class*="subscriber-only"]',
+  '[class*="premium-content"]',
+  '[data-paywall]'
+];
+
+// Short blocks matching this are page furniture rather than article text
+const BOILERPLATE_PATTERN = /cookies?\b|newsletter|sign up|subscribe|share (this|on)|follow us|all rights reserved|copyright|©|related (articles|stories|content)|advertisement|click here|read more/i;
+const BOILERPLATE_MAX_LENGTH = 300;
+
+// Below these the text is too short to be a full article
+const SHORT_WORD_COUNT = 100;
+const FULL_WORD_COUNT = 300;
+
+/**
+ * Paywall markers in the page markup. Must run before script tags are
+ * stripped, and with the metadata from extractStructuredData.
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Object} metadata - Structured metadata by source
+ * @returns {string[]} Flags found ('paywall')
+ */
+export function detectPaywallMarkup($, metadata = {}) {
+  if (metadata.jsonld?.accessibleForFree === false) return ['paywall'];
+
+  for (const selector of PAYWALL_SELECTORS) {
+    if ($(selector).length) return ['paywall'];
+  }
+
+  return [];
+}
+
+/**
+ * Share of a container's text that sits inside links
+ */
+export function linkDensity($, container) {
+  const textLength = container.text().replace(/\s+/g, ' ').trim().length;
+  if (!textLength) return 0;
+
+  let linkLength = 0;
+  container.find('a').each((i, elem) => {
+    linkLength += $(elem).text().replace(/\s+/g, ' ').trim().length;
+  });
+
+  return Math.min(1, linkLength / textLength);
+}
+
+function boilerplateRatio(blocks, text) {
+  const texts = blocks.length
+    ? blocks.map(block => block.text || (block.items || []).join(' ') || (block.rows || []).flat().join(' '))
+    : text.split(/\n{2,}/);
+
+  const total = texts.reduce((sum, value) => sum + value.length, 0);
+  if (!total) return 0;
+
+  const boilerplate = texts
+    .filter(value => value.length <= BOILERPLATE_MAX_LENGTH && BOILERPLATE_PATTERN.test(value))
+    .reduce((sum, value) => sum + value.length, 0);
+
+  return boilerplate / total;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Score how likely extracted content is a real, complete article.
+ * The score (0-100) multiplies a length factor (full marks from 300 words)
+ * by penalties for link density, boilerplate and block-page markers.
+ * @param {Object} signals
+ * @param {string} signals.text - Extracted plain text
+ * @param {Array} signals.blocks - Content blocks
+ * @param {number} signals.linkDensity - From linkDensity(), 0 for PDFs
+ * @param {string[]} signals.markupFlags - From detectPaywallMarkup()
+ * @returns {Object} { score, flags, metrics: { wordCount, linkDensity, boilerplateRatio } }
+ */
+export function scoreExtraction({ text = '', blocks = [], linkDensity: density = 0, markupFlags = [] }) {
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+  const boilerplate = boilerplateRatio(blocks, text);
+  const flags = new Set(markupFlags);
+
+  for (const { flag, pattern } of BLOCK_PAGE_MARKERS) {
+    if (pattern.test(text)) flags.add(flag);
+  }
+
+  const lengthFactor = Math.min(1, Math.sqrt(wordCount / FULL_WORD_COUNT));
+  const linkFactor = density <= 0.2 ? 1 : Math.max(0, 1 - (density - 0.2) / 0.5);
+  const boilerplateFactor = 1 - boilerplate;
+
+  // A marker on a long page is usually a footer or a metering banner;
+  // on a short one it usually is the page
+  const blocked = flags.size > 0;
+  const markerFactor = !blocked ? 1 : wordCount < FULL_WORD_COUNT ? 0.25 : 0.8;
+
+  if (wordCount < SHORT_WORD_COUNT) flags.add('short');
+  if (density > 0.4) flags.add('link-heavy');
+  if (boilerplate > 0.3) flags.add('boilerplate');
+
+  return {
+    score: Math.round(100 * lengthFactor * linkFactor * boilerplateFactor * markerFactor),
+    flags: [...flags],
+    metrics: {
+      wordCount,
+      linkDensity: round(density),
+      boilerplateRatio: round(boilerplate)
+    }
+  };
+}
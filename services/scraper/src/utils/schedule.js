@@ -0,0 +1,158 @@
+/**
+ * Source schedules are either a simple interval ("30m", "6h", "every 1d") or a
+ * five-field cron expression ("0 *\/6 * * *"), evaluated in UTC.
+ */
+
+const INTERVAL_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseCronField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+    if (isNaN(step) || step < 1) {
+      throw new Error(`Invalid step in cron ${name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(n => parseInt(n));
+    } else {
+      start = parseInt(range);
+      end = stepText === undefined ? start : max;
+    }
+
+    if (isNaN(start) || isNaN(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    for (let n = start; n <= end; n += step) {
+      allowed.add(n);
+    }
+  }
+
+  return allowed;
+}
+
+function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expressions need five fields: minute hour day month weekday');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map(
+    (part, i) => parseCronField(part, CRON_FIELDS[i])
+  );
+
+  // Both 0 and 7 mean Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: if both day fields are restricted, either may match
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*'
+  };
+}
+
+function cronDayMatches(cron, date) {
+  const dayMatch = cron.days.has(date.getUTCDate());
+  const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+
+  if (cron.dayRestricted && cron.weekdayRestricted) return dayMatch || weekdayMatch;
+  if (cron.dayRestricted) return dayMatch;
+  if (cron.weekdayRestricted) return weekdayMatch;
+  return true;
+}
+
+function nextCronRun(cron, from) {
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Five years is enough to find any valid schedule (e.g. Feb 29)
+  const limit = from.getTime() + 5 * 366 * INTERVAL_UNITS.d;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!cronDayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error('Cron expression never matches');
+}
+
+/**
+ * Parse a schedule string
+ * @param {string} expression - e.g. "6h", "every 30m" or "0 6 * * 1-5"
+ * @returns {Object} { type, expression, next(fromDate) }
+ */
+export function parseSchedule(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Schedule is required');
+  }
+
+  const interval = expression.trim().match(/^(?:every\s+)?(\d+)\s*([mhd])$/i);
+  if (interval) {
+    const ms = parseInt(interval[1]) * INTERVAL_UNITS[interval[2].toLowerCase()];
+    if (ms < INTERVAL_UNITS.m) {
+      throw new Error('Schedule interval must be at least one minute');
+    }
+    return {
+      type: 'interval',
+      expression,
+      next: (from = new Date()) => new Date(from.getTime() + ms)
+    };
+  }
+
+  const cron = parseCron(expression);
+  return {
+    type: 'cron',
+    expression,
+    next: (from = new Date()) => nextCronRun(cron, from)
+  };
+}
+
+/**
+ * Next run time as an ISO string
+ */
+export function nextRunAt(expression, from = new Date()) {
+  return parseSchedule(expression).next(from).toISOString();
+}
@@ -0,0 +1,49 @@
+/**
+ * Save successful scrape results (deduplicated against stored articles)
+ * and summarise failures and robots blocks. Pages rejected for low
+ * extraction quality count as failures.
+ * @param {ArticleStorage} storage - Article storage to save into
+ * @param {Array} results - Results from ArticleScraper.scrapeArticle/scrapeBatch
+ * @param {Object} extra - Fields to add to every saved article (e.g. sourceId)
+ * @returns {Object} Summary used in batch-style API responses
+ */
+export async function saveScrapeResults(storage, results, extra = {}) {
+  const savedArticles = [];
+  const outcomes = [];
+  const statusCounts = { new: 0, unchanged: 0, updated: 0 };
+
+  for (const result of results) {
+    if (result.success) {
+      const { article, status } = await storage.saveOrUpdateArticle({
+        ...result.article,
+        ...extra
+      });
+      savedArticles.push(article);
+      outcomes.push({ id: article.id, url: result.article.url, status });
+      statusCounts[status]++;
+    }
+  }
+
+  const blocked = results.filter(r => r.blockedByPolicy || r.blockedByRobots);
+  const failed = results.filter(r => !r.success && !r.blockedByPolicy && !r.blockedByRobots);
+
+  return {
+    successCount: savedArticles.length,
+    newCount: statusCounts.new,
+    updatedCount: statusCounts.updated,
+    unchangedCount: statusCounts.unchanged,
+    failureCount: failed.length,
+    rejectedCount: failed.filter(r => r.rejected).length,
+    blockedCount: blocked.length,
+    articles: savedArticles,
+    outcomes,
+    errors: failed.map(r => ({
+      url: r.url,
+      error: r.error,
+      ...(r.rejected && { rejected: true, quality: r.quality })
+    })),
+    blocked: blocked.map(r => r.blockedByPolicy
+      ? { url: r.url, reason: 'policy', policy: r.reason, publisher: r.publisher }
+      : { url: r.url, reason: 'robots', rule: r.rule })
+  };
+}
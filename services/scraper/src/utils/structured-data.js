@@ -0,0 +1,227 @@
+/**
+ * Harvests article metadata embedded in a page: JSON-LD (schema.org),
+ * microdata, OpenGraph and Twitter cards. Each source is normalised to the
+ * same field names so ArticleScraper can merge them by precedence.
+ */
+
+// Sources in precedence order, most trusted first
+export const METADATA_SOURCES = ['jsonld', 'microdata', 'opengraph', 'twitter'];
+
+const ARTICLE_TYPES = new Set([
+  'Article', 'NewsArticle', 'AnalysisNewsArticle', 'OpinionNewsArticle', 'ReportageNewsArticle',
+  'BackgroundNewsArticle', 'ReviewNewsArticle', 'BlogPosting', 'LiveBlogPosting', 'TechArticle',
+  'ScholarlyArticle', 'Report'
+]);
+
+function cleanText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function unique(values) {
+  return [...new Set(values.map(cleanText).filter(Boolean))];
+}
+
+function splitKeywords(value) {
+  return unique(asArray(value).flatMap(keyword =>
+    typeof keyword === 'string' ? keyword.split(',') : [keyword?.name]
+  ));
+}
+
+function typesOf(node) {
+  return asArray(node?.['@type']).map(type => String(type).replace(/^https?:\/\/schema\.org\//, ''));
+}
+
+// ---- JSON-LD ----
+
+function parseJsonLdScript(text) {
+  const body = String(text || '')
+    .replace(/^\s*<!\[CDATA\[/, '')
+    .replace(/\]\]>\s*$/, '')
+    .trim();
+  if (!body) return [];
+
+  try {
+    return asArray(JSON.parse(body));
+  } catch {
+    // Some CMSs emit raw newlines inside strings
+    try {
+      return asArray(JSON.parse(body.replace(/[\r\n\t]+/g, ' ')));
+    } catch {
+      return [];
+    }
+  }
+}
+
+// Flatten @graph containers and nested arrays into a list of nodes
+function flattenNodes(items, nodes = []) {
+  for (const item of asArray(items)) {
+    if (!item || typeof item !== 'object') continue;
+    if (Array.isArray(item)) {
+      flattenNodes(item, nodes);
+      continue;
+    }
+    nodes.push(item);
+    if (item['@graph']) flattenNodes(item['@graph'], nodes);
+  }
+  return nodes;
+}
+
+function extractJsonLd($) {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((i, elem) => {
+    flattenNodes(parseJsonLdScript($(elem).contents().text()), nodes);
+  });
+
+  const byId = new Map(nodes.filter(node => node['@id']).map(node => [node['@id'], node]));
+  const resolve = value => (value && typeof value === 'object' && value['@id'] && byId.get(value['@id'])) || value;
+
+  const names = value => unique(asArray(value).map(item => {
+    const node = resolve(item);
+    return typeof node === 'string' ? node : node?.name;
+  }));
+
+  const article = nodes.find(node => typesOf(node).some(type => ARTICLE_TYPES.has(type))) ||
+    nodes.find(node => typesOf(node).includes('WebPage'));
+
+  if (!article) return {};
+
+  const image = asArray(resolve(article.image)).map(item => {
+    const node = resolve(item);
+    return typeof node === 'string' ? node : node?.url || node?.contentUrl;
+  }).find(Boolean);
+
+  const authors = names(article.author);
+
+  return {
+    title: cleanText(article.headline || article.name),
+    author: authors.length ? authors.join(', ') : null,
+    publishDate: cleanText(article.datePublished || article.dateCreated),
+    modifiedDate: cleanText(article.dateModified),
+    publisher: names(article.publisher)[0] || null,
+    excerpt: cleanText(article.description),
+    imageUrl: cleanText(image),
+    section: names(article.articleSection)[0] || null,
+    tags: splitKeywords(article.keywords),
+    accessibleForFree: parseBoolean(article.isAccessibleForFree)
+  };
+}
+
+// schema.org booleans turn up as true, "False", "http://schema.org/True", ...
+function parseBoolean(value) {
+  const text = cleanText(value)?.replace(/^https?:\/\/schema\.org\//, '').toLowerCase();
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  return null;
+}
+
+// ---- Microdata ----
+
+function itemValue($, elem) {
+  const node = $(elem);
+  const tag = elem.name.toLowerCase();
+
+  if (node.attr('content')) return node.attr('content');
+  if (tag === 'time') return node.attr('datetime') || node.text();
+  if (['img', 'audio', 'video', 'source'].includes(tag)) return node.attr('src');
+  if (['a', 'link', 'area'].includes(tag)) return node.attr('href');
+  if (tag === 'meta') return null;
+
+  // Nested items (e.g. an author Person) are named by their "name" property
+  if (node.is('[itemscope]')) {
+    return node.find('[itemprop="name"]').first().attr('content') ||
+      node.find('[itemprop="name"]').first().text() ||
+      node.text();
+  }
+
+  return node.text();
+}
+
+function extractMicrodata($) {
+  const scope = $('[itemscope][itemtype]').filter((i, elem) =>
+    String($(elem).attr('itemtype')).split(/\s+/).some(type =>
+      ARTICLE_TYPES.has(type.replace(/^https?:\/\/schema\.org\//, ''))
+    )
+  ).first();
+
+  if (!scope.length) return {};
+
+  // Properties belonging to this item, not to an item nested inside it
+  const props = name => scope.find(`[itemprop~="${name}"]`)
+    .filter((i, elem) => $(elem).parent().closest('[itemscope]')[0] === scope[0])
+    .toArray()
+    .map(elem => cleanText(itemValue($, elem)))
+    .filter(Boolean);
+
+  const authors = unique(props('author'));
+
+  return {
+    title: props('headline')[0] || props('name')[0] || null,
+    author: authors.length ? authors.join(', ') : null,
+    publishDate: props('datePublished')[0] || null,
+    modifiedDate: props('dateModified')[0] || null,
+    publisher: props('publisher')[0] || null,
+    excerpt: props('description')[0] || null,
+    imageUrl: props('image')[0] || null,
+    section: props('articleSection')[0] || null,
+    tags: splitKeywords(props('keywords'))
+  };
+}
+
+// ---- OpenGraph / Twitter ----
+
+function metaValues($, attr, name) {
+  return $(`meta[${attr}="${name}"]`).toArray()
+    .map(elem => cleanText($(elem).attr('content')))
+    .filter(Boolean);
+}
+
+function extractOpenGraph($) {
+  const og = name => metaValues($, 'property', name)[0] || null;
+  // article:author is often a profile URL rather than a name
+  const authors = metaValues($, 'property', 'article:author').filter(author => !/^https?:\/\//.test(author));
+
+  return {
+    title: og('og:title'),
+    author: authors.length ? unique(authors).join(', ') : null,
+    publishDate: og('article:published_time'),
+    modifiedDate: og('article:modified_time') || og('og:updated_time'),
+    publisher: og('og:site_name'),
+    excerpt: og('og:description'),
+    imageUrl: og('og:image') || og('og:image:url'),
+    section: og('article:section'),
+    tags: splitKeywords(metaValues($, 'property', 'article:tag'))
+  };
+}
+
+function extractTwitter($) {
+  // Twitter cards are declared with either name= or property=
+  const tw = name => metaValues($, 'name', name)[0] || metaValues($, 'property', name)[0] || null;
+
+  return {
+    title: tw('twitter:title'),
+    excerpt: tw('twitter:description'),
+    imageUrl: tw('twitter:image') || tw('twitter:image:src')
+  };
+}
+
+/**
+ * Extract normalised metadata from every embedded source. Must run before
+ * script tags are stripped from the document.
+ * @param {CheerioAPI} $ - Loaded document
+ * @returns {Object} Metadata keyed by source name (see METADATA_SOURCES)
+ */
+export function extractStructuredData($) {
+  return {
+    jsonld: extractJsonLd($),
+    microdata: extractMicrodata($),
+    opengraph: extractOpenGraph($),
+    twitter: extractTwitter($)
+  };
+}
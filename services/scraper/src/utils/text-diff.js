@@ -0,0 +1,67 @@
+// Article fields compared between revisions, besides the body text
+const TRACKED_FIELDS = ['title', 'author', 'publishDate', 'excerpt', 'imageUrl'];
+const MAX_SNIPPETS = 5;
+
+/**
+ * Split text into sentences. Scraped text often lacks a space after the
+ * full stop ("plant.Shares rose"), so a following capital also splits.
+ */
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s*(?=[A-Z"“‘(])|\n+/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+function countOccurrences(items) {
+  const counts = new Map();
+  for (const item of items) {
+    counts.set(item, (counts.get(item) || 0) + 1);
+  }
+  return counts;
+}
+
+// Items in `a` that are not matched by an equal item in `b`
+function difference(a, b) {
+  const remaining = countOccurrences(b);
+  const result = [];
+  for (const item of a) {
+    const count = remaining.get(item) || 0;
+    if (count > 0) {
+      remaining.set(item, count - 1);
+    } else {
+      result.push(item);
+    }
+  }
+  return result;
+}
+
+/**
+ * Summarise what changed between two versions of an article
+ * @param {Object} previous - Earlier article version
+ * @param {Object} current - Later article version
+ * @returns {Object} Changed fields, sentence-level additions/removals and size delta
+ */
+export function summariseChanges(previous, current) {
+  const changedFields = TRACKED_FIELDS.filter(
+    field => (previous[field] ?? null) !== (current[field] ?? null)
+  );
+
+  const before = splitSentences(previous.content);
+  const after = splitSentences(current.content);
+  const added = difference(after, before);
+  const removed = difference(before, after);
+
+  if (added.length > 0 || removed.length > 0) {
+    changedFields.push('content');
+  }
+
+  return {
+    changedFields,
+    sentencesAdded: added.length,
+    sentencesRemoved: removed.length,
+    charDelta: (current.content?.length || 0) - (previous.content?.length || 0),
+    added: added.slice(0, MAX_SNIPPETS),
+    removed: removed.slice(0, MAX_SNIPPETS)
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Path patterns use robots.txt syntax: a prefix match where "*" matches any
+ * sequence and a trailing "$" anchors the end, e.g. "/news/*", "/*.pdf$".
+ */
+export function compilePathPattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const escaped = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Check a URL's path (and query) against include/exclude pattern lists.
+ * An empty include list matches everything.
+ */
+export function matchesPathPatterns(url, include = [], exclude = []) {
+  const { pathname, search } = new URL(url);
+  const path = `${pathname}${search}`;
+
+  if (exclude.some(pattern => compilePathPattern(pattern).test(path))) {
+    return false;
+  }
+
+  return include.length === 0 || include.some(pattern => compilePathPattern(pattern).test(path));
+}
@@ -0,0 +1,120 @@
+import { gunzipSync, inflateSync, brotliDecompressSync } from 'zlib';
+
+/**
+ * Minimal WARC (ISO 28500) reader: enough to pull archived pages out of
+ * .warc and .warc.gz files written by wget, Webrecorder, Heritrix, etc.
+ */
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+function parseHeaderLines(text) {
+  const headers = {};
+  for (const line of text.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  }
+  return headers;
+}
+
+function decodeChunked(body) {
+  const parts = [];
+  let offset = 0;
+
+  while (offset < body.length) {
+    const lineEnd = body.indexOf(CRLF, offset);
+    if (lineEnd === -1) break;
+
+    const size = parseInt(body.subarray(offset, lineEnd).toString('latin1').split(';')[0], 16);
+    if (!size) break;
+
+    parts.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+
+  return Buffer.concat(parts);
+}
+
+function decodeContent(body, encoding = '') {
+  try {
+    if (/gzip/i.test(encoding)) return gunzipSync(body);
+    if (/deflate/i.test(encoding)) return inflateSync(body);
+    if (/br/i.test(encoding)) return brotliDecompressSync(body);
+  } catch {
+    // Archived headers sometimes describe the original, not the stored, body
+  }
+  return body;
+}
+
+/**
+ * Split an archived HTTP response into status, headers and decoded body
+ */
+function parseHttpResponse(block) {
+  const headerEnd = block.indexOf(HEADER_END);
+  if (headerEnd === -1) return null;
+
+  const head = block.subarray(0, headerEnd).toString('latin1');
+  const statusMatch = head.match(/^HTTP\/[\d.]+\s+(\d{3})/);
+  if (!statusMatch) return null;
+
+  const headers = parseHeaderLines(head.slice(head.indexOf('\n') + 1));
+  let body = block.subarray(headerEnd + 4);
+
+  if (/chunked/i.test(headers['transfer-encoding'] || '')) {
+    body = decodeChunked(body);
+  }
+  body = decodeContent(body, headers['content-encoding']);
+
+  return { status: parseInt(statusMatch[1]), headers, body };
+}
+
+/**
+ * Parse a WARC file
+ * @param {Buffer} data - .warc or .warc.gz contents
+ * @returns {Array} Records: { type, targetUri, date, contentType, status, body }
+ *   For "response" records contentType/status/body describe the archived
+ *   HTTP response; for "resource" records they describe the stored file.
+ */
+export function parseWarc(data) {
+  // Gzipped WARCs are a series of gzip members, one per record
+  const buffer = data[0] === 0x1f && data[1] === 0x8b ? gunzipSync(data) : data;
+  const records = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const start = buffer.indexOf('WARC/', offset, 'latin1');
+    if (start === -1) break;
+
+    const headerEnd = buffer.indexOf(HEADER_END, start);
+    if (headerEnd === -1) break;
+
+    const headers = parseHeaderLines(buffer.subarray(start, headerEnd).toString('utf8'));
+    const length = parseInt(headers['content-length']) || 0;
+    const block = buffer.subarray(headerEnd + 4, headerEnd + 4 + length);
+    offset = headerEnd + 4 + length;
+
+    const type = headers['warc-type'];
+    const record = {
+      type,
+      targetUri: headers['warc-target-uri']?.replace(/^<|>$/g, '') || null,
+      date: headers['warc-date'] || null,
+      contentType: headers['content-type'] || null,
+      status: null,
+      body: block
+    };
+
+    if (type === 'response' && /application\/http/i.test(record.contentType || '')) {
+      const response = parseHttpResponse(block);
+      if (!response) continue;
+      record.status = response.status;
+      record.contentType = response.headers['content-type'] || null;
+      record.body = response.body;
+    }
+
+    records.push(record);
+  }
+
+  return records;
+}
@@ -34,8 +34,8 @@ async function checkServices() {
     const labeller = await axios.get(`${LABELLER_URL}/health`);
     console.log('✅ Labeller service: healthy');
     
-    if (!labeller.data.apiKeyConfigured) {
-      console.log('❌ API key not configured!');
+    if (!labeller.data.llm?.configured) {
+      console.log(`❌ LLM provider ${labeller.data.llm?.provider || ''} not configured!`);
       console.log('   Run: npm run diagnose\n');
       return false;
     }
@@ -79,7 +79,7 @@ async function scrapeArticle(url) {
 
 async function labelArticle(articleId) {
   console.log(`🏷️  Labelling article: ${articleId}`);
-  console.log('   Calling Claude API...');
+  console.log('   Calling LLM provider...');
   console.log('   This may take 5-10 seconds...\n');
   
   const startTime = Date.now();